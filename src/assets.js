@@ -0,0 +1,103 @@
+import * as core from '@actions/core';
+import * as glob from '@actions/glob';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const CHECKSUMS_FILE = 'SHA256SUMS';
+
+// Browsers and package managers rely on the content type GitHub serves the asset with
+const CONTENT_TYPES = {
+  '.deb': 'application/vnd.debian.binary-package',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.rpm': 'application/x-rpm',
+  '.tar': 'application/x-tar',
+  '.xz': 'application/x-xz',
+  '.zip': 'application/zip',
+  '.jar': 'application/java-archive',
+  '.wasm': 'application/wasm',
+  '.html': 'text/html',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.asc': 'text/plain',
+  '.sig': 'application/pgp-signature',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+function getContentType(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+// Patterns are relative to the workspace and may exclude files with a leading "!", e.g. "!dist/*.map"
+async function findAssets(workspace, patterns) {
+  const resolved = patterns.map((pattern) =>
+    pattern.startsWith('!') ? `!${path.resolve(workspace, pattern.substring(1))}` : path.resolve(workspace, pattern)
+  );
+  const globber = await glob.create(resolved.join('\n'), { matchDirectories: false });
+  const files = (await globber.glob()).sort();
+  if (files.length === 0) {
+    core.warning(`No release assets matched: ${patterns.join(', ')}`);
+  }
+
+  // Assets are named after their file, so two files with the same name would overwrite each other
+  const seen = new Map();
+  for (const file of files) {
+    const name = path.basename(file);
+    if (seen.has(name)) {
+      throw new Error(`Release assets ${seen.get(name)} and ${file} would both be uploaded as ${name}`);
+    }
+    seen.set(name, file);
+  }
+  return files;
+}
+
+function formatChecksums(assets) {
+  // Same layout as sha256sum, so that "sha256sum --check SHA256SUMS" verifies the downloads
+  return assets
+    .map(({ name, data }) => `${crypto.createHash('sha256').update(data).digest('hex')}  ${name}\n`)
+    .join('');
+}
+
+async function withRetries(action, { attempts, delay, description }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await action();
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+      core.warning(`${description} failed (attempt ${attempt} of ${attempts}), retrying: ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, delay * attempt));
+    }
+  }
+}
+
+async function uploadAssets(backend, releaseId, files, { checksums = false, attempts = 3, delay = 2000 } = {}) {
+  const assets = files.map((file) => {
+    const name = path.basename(file);
+    return { name, contentType: getContentType(name), data: fs.readFileSync(file) };
+  });
+  if (checksums && assets.length > 0) {
+    assets.push({ name: CHECKSUMS_FILE, contentType: 'text/plain', data: Buffer.from(formatChecksums(assets)) });
+  }
+
+  const urls = [];
+  for (const asset of assets) {
+    const url = await withRetries(() => backend.uploadReleaseAsset(releaseId, asset), {
+      attempts,
+      delay,
+      description: `Uploading ${asset.name}`
+    });
+    core.info(`Uploaded release asset ${asset.name}`);
+    urls.push(url);
+  }
+  return urls;
+}
+
+export { CHECKSUMS_FILE, getContentType, findAssets, formatChecksums, uploadAssets };
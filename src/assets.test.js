@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import mock from 'mock-fs';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const globber = { glob: jest.fn() };
+jest.unstable_mockModule('@actions/glob', () => ({
+  create: jest.fn().mockResolvedValue(globber)
+}));
+
+const core = await import('@actions/core');
+const glob = await import('@actions/glob');
+const { getContentType, findAssets, formatChecksums, uploadAssets } = await import('./assets.js');
+
+describe('Release assets', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('getContentType', () => {
+    it('should look up the content type by extension', () => {
+      expect(getContentType('app-1.0.0.tar.gz')).toBe('application/gzip');
+      expect(getContentType('app.ZIP')).toBe('application/zip');
+      expect(getContentType('app-linux-amd64')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('findAssets', () => {
+    it('should resolve patterns against the workspace and sort the matches', async () => {
+      globber.glob.mockResolvedValue(['/work/dist/b.zip', '/work/dist/a.zip']);
+
+      const files = await findAssets('/work', ['dist/*.zip', '!dist/*.map']);
+
+      expect(glob.create).toHaveBeenCalledWith('/work/dist/*.zip\n!/work/dist/*.map', { matchDirectories: false });
+      expect(files).toEqual(['/work/dist/a.zip', '/work/dist/b.zip']);
+    });
+
+    it('should warn when nothing matches', async () => {
+      globber.glob.mockResolvedValue([]);
+
+      await expect(findAssets('/work', ['dist/*'])).resolves.toEqual([]);
+      expect(core.warning).toHaveBeenCalledWith('No release assets matched: dist/*');
+    });
+
+    it('should reject files that would be uploaded under the same name', async () => {
+      globber.glob.mockResolvedValue(['/work/linux/app.zip', '/work/darwin/app.zip']);
+
+      await expect(findAssets('/work', ['*/app.zip'])).rejects.toThrow(
+        'Release assets /work/darwin/app.zip and /work/linux/app.zip would both be uploaded as app.zip'
+      );
+    });
+  });
+
+  describe('formatChecksums', () => {
+    it('should list the checksums like sha256sum', () => {
+      expect(formatChecksums([{ name: 'hello.txt', data: Buffer.from('hello\n') }])).toBe(
+        '5891b5b522d5df086d0ff0b110fbd9d21bb4fc7163af34d08286a2e846f6be03  hello.txt\n'
+      );
+    });
+  });
+
+  describe('uploadAssets', () => {
+    let backend;
+
+    beforeEach(() => {
+      mock({ '/work/dist': { 'app.zip': 'zip', 'notes.txt': 'hello\n' } });
+      backend = { uploadReleaseAsset: jest.fn(async (releaseId, { name }) => `https://example.com/${name}`) };
+    });
+
+    it('should upload every file with its content type and a checksums file', async () => {
+      const urls = await uploadAssets(backend, 42, ['/work/dist/app.zip', '/work/dist/notes.txt'], {
+        checksums: true
+      });
+
+      expect(backend.uploadReleaseAsset).toHaveBeenCalledWith(42, {
+        name: 'app.zip',
+        contentType: 'application/zip',
+        data: Buffer.from('zip')
+      });
+      expect(backend.uploadReleaseAsset).toHaveBeenCalledWith(42, {
+        name: 'notes.txt',
+        contentType: 'text/plain',
+        data: Buffer.from('hello\n')
+      });
+      const checksums = backend.uploadReleaseAsset.mock.calls[2][1];
+      expect(checksums.name).toBe('SHA256SUMS');
+      expect(checksums.data.toString()).toMatch(/^[0-9a-f]{64} {2}app\.zip\n[0-9a-f]{64} {2}notes\.txt\n$/);
+      expect(urls).toEqual([
+        'https://example.com/app.zip',
+        'https://example.com/notes.txt',
+        'https://example.com/SHA256SUMS'
+      ]);
+    });
+
+    it('should retry failed uploads', async () => {
+      backend.uploadReleaseAsset.mockRejectedValueOnce(new Error('socket hang up'));
+
+      await uploadAssets(backend, 42, ['/work/dist/app.zip'], { delay: 0 });
+
+      expect(backend.uploadReleaseAsset).toHaveBeenCalledTimes(2);
+      expect(core.warning).toHaveBeenCalledWith('Uploading app.zip failed (attempt 1 of 3), retrying: socket hang up');
+    });
+
+    it('should give up after the last attempt', async () => {
+      backend.uploadReleaseAsset.mockRejectedValue(new Error('Bad Gateway'));
+
+      await expect(uploadAssets(backend, 42, ['/work/dist/app.zip'], { attempts: 2, delay: 0 })).rejects.toThrow(
+        'Bad Gateway'
+      );
+      expect(backend.uploadReleaseAsset).toHaveBeenCalledTimes(2);
+    });
+  });
+});
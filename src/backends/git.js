@@ -0,0 +1,191 @@
+import * as core from '@actions/core';
+import { getExecOutput } from '@actions/exec';
+import semver from 'semver';
+import { isInRange } from '../maintenance.js';
+import { DEFAULT_TAG_FORMAT, getHighestVersionTag, getVersionTags } from '../tag-format.js';
+
+const COMMITTER = [
+  '-c',
+  'user.name=github-actions[bot]',
+  '-c',
+  'user.email=41898282+github-actions[bot]@users.noreply.github.com'
+];
+
+// ASCII unit and record separators, which never show up in commit messages
+const FIELD_SEPARATOR = '\x1f';
+const RECORD_SEPARATOR = '\x1e';
+
+async function git(cwd, args) {
+  const { stdout } = await getExecOutput('git', args, { cwd, silent: true });
+  return stdout;
+}
+
+async function getLatestReleaseData(
+  cwd,
+  headRef,
+  defaultVersion,
+  { tagFormat = DEFAULT_TAG_FORMAT, range = '', strategy = 'latest-release' } = {}
+) {
+  try {
+    // Tags are the only releases git knows about, so every strategy looks at the tags head contains
+    const output = await git(cwd, ['tag', '--list', '--merged', headRef]);
+    const versionTags = getVersionTags(
+      output.split('\n').map((tag) => tag.trim()),
+      tagFormat
+    )
+      // Like GitHub's latest release, pre-releases only count as the current version when asked for
+      .filter(({ version }) => strategy === 'highest-release' || semver.prerelease(version) === null)
+      .filter(({ version }) => isInRange(version, range));
+
+    const latest = getHighestVersionTag(versionTags);
+    if (!latest) {
+      core.warning('No previous release tags found, using default version');
+      return {
+        currentReleaseRef: null,
+        currentReleaseTag: defaultVersion
+      };
+    }
+
+    core.debug(`Latest release tag: ${latest.tag}`);
+    return {
+      currentReleaseRef: latest.tag,
+      currentReleaseTag: latest.version
+    };
+  } catch (error) {
+    throw new Error(`Failed to get latest release: ${error.message}`);
+  }
+}
+
+async function getCommits(cwd, baseRef, headRef) {
+  const range = baseRef ? `${baseRef}..${headRef}` : headRef;
+  const output = await git(cwd, [
+    'log',
+    `--format=%H${FIELD_SEPARATOR}%an${FIELD_SEPARATOR}%ae${FIELD_SEPARATOR}%cI${FIELD_SEPARATOR}%B${RECORD_SEPARATOR}`,
+    range
+  ]);
+
+  return output
+    .split(RECORD_SEPARATOR)
+    .map((record) => record.replace(/^\n/, ''))
+    .filter((record) => record.length > 0)
+    .map((record) => {
+      const [sha, author, email, date, message] = record.split(FIELD_SEPARATOR);
+      return {
+        sha,
+        message: message.trim(),
+        author,
+        email,
+        date
+      };
+    });
+}
+
+async function getCommitFiles(cwd, sha) {
+  try {
+    const output = await git(cwd, ['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', sha]);
+    return output
+      .split('\n')
+      .map((file) => file.trim())
+      .filter((file) => file.length > 0);
+  } catch (error) {
+    throw new Error(`Failed to get files changed by ${sha}: ${error.message}`);
+  }
+}
+
+async function hasCommitsBefore(cwd, author, ref) {
+  try {
+    const output = await git(cwd, ['log', '-1', '--format=%H', '--fixed-strings', `--author=${author}`, ref]);
+    return output.trim().length > 0;
+  } catch (error) {
+    throw new Error(`Failed to look up earlier commits by ${author}: ${error.message}`);
+  }
+}
+
+async function listTags(cwd) {
+  try {
+    const output = await git(cwd, ['tag', '--list']);
+    return output
+      .split('\n')
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0);
+  } catch (error) {
+    throw new Error(`Failed to list tags: ${error.message}`);
+  }
+}
+
+async function getBranchHead(cwd, branch) {
+  try {
+    // Ask the remote, since the local branch does not see pushes made by other runs
+    const output = await git(cwd, ['ls-remote', 'origin', `refs/heads/${branch}`]);
+    return output.split(/\s/)[0];
+  } catch (error) {
+    throw new Error(`Failed to get the head of branch ${branch}: ${error.message}`);
+  }
+}
+
+async function commitFiles(cwd, { branch, parentRef, message, files, force = false }) {
+  try {
+    // The files have already been written to the checkout, so they only need to be committed on top of parentRef
+    await git(cwd, ['checkout', '--detach', parentRef]);
+    await git(cwd, ['add', '--', ...files.map((file) => file.path)]);
+    await git(cwd, [...COMMITTER, 'commit', '-m', message]);
+    await git(cwd, ['push', ...(force ? ['--force'] : []), 'origin', `HEAD:refs/heads/${branch}`]);
+    return (await git(cwd, ['rev-parse', 'HEAD'])).trim();
+  } catch (error) {
+    throw new Error(`Failed to commit files: ${error.message}`);
+  }
+}
+
+async function createRelease(cwd, release) {
+  if (release.draft || release.prerelease) {
+    core.warning('The git backend cannot create draft or pre-release GitHub releases, pushing a plain tag instead');
+  }
+
+  await git(cwd, [
+    ...COMMITTER,
+    'tag',
+    '--annotate',
+    '--cleanup=verbatim',
+    release.tagName,
+    release.targetRef,
+    '-m',
+    release.name,
+    '-m',
+    release.body
+  ]);
+  await git(cwd, ['push', 'origin', `refs/tags/${release.tagName}`]);
+
+  // A plain tag has no release page
+  return { id: null, url: '' };
+}
+
+function createGitBackend(cwd) {
+  return {
+    name: 'git',
+    getLatestRelease: (defaultVersion, headRef, options) => getLatestReleaseData(cwd, headRef, defaultVersion, options),
+    getCommits: (baseRef, headRef) => getCommits(cwd, baseRef, headRef),
+    getCommitFiles: (sha) => getCommitFiles(cwd, sha),
+    // Pull requests only exist on GitHub, so the git backend relies on the "(#123)" suffix of squash merges
+    getPullRequests: async () => [],
+    getPullRequest: async () => null,
+    hasCommitsBefore: (author, ref) => hasCommitsBefore(cwd, author, ref),
+    listTags: () => listTags(cwd),
+    getBranchHead: (branch) => getBranchHead(cwd, branch),
+    commitFiles: (commit) => commitFiles(cwd, commit),
+    createRelease: (release) => createRelease(cwd, release),
+    // Plain tags are never drafts, so there is nothing to update in place
+    listDraftReleases: async () => []
+  };
+}
+
+export {
+  createGitBackend,
+  getLatestReleaseData,
+  getCommits,
+  getCommitFiles,
+  hasCommitsBefore,
+  listTags,
+  getBranchHead,
+  commitFiles,
+  createRelease
+};
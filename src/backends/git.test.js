@@ -0,0 +1,325 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+jest.unstable_mockModule('@actions/exec', () => ({
+  getExecOutput: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { getExecOutput } = await import('@actions/exec');
+const {
+  createGitBackend,
+  getLatestReleaseData,
+  getCommits,
+  getCommitFiles,
+  getBranchHead,
+  hasCommitsBefore,
+  listTags,
+  commitFiles,
+  createRelease
+} = await import('./git.js');
+
+describe('git backend', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getLatestReleaseData', () => {
+    it('should return the highest semver tag reachable from head', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v1.2.0\nv1.10.0\nnightly\nv1.9.3\n' });
+
+      const result = await getLatestReleaseData('/repo', 'abc1234', '0.0.0');
+
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['tag', '--list', '--merged', 'abc1234'], {
+        cwd: '/repo',
+        silent: true
+      });
+      expect(result).toEqual({
+        currentReleaseRef: 'v1.10.0',
+        currentReleaseTag: '1.10.0'
+      });
+    });
+
+    it('should ignore pre-release tags', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v1.2.0\nv1.3.0-rc.1\n' });
+
+      const result = await getLatestReleaseData('/repo', 'HEAD', '0.0.0');
+      expect(result.currentReleaseRef).toBe('v1.2.0');
+    });
+
+    it('should include pre-release tags with the highest-release strategy', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v1.2.0\nv1.3.0-rc.1\n' });
+
+      const result = await getLatestReleaseData('/repo', 'HEAD', '0.0.0', { strategy: 'highest-release' });
+      expect(result.currentReleaseRef).toBe('v1.3.0-rc.1');
+    });
+
+    it('should only consider tags within the range of a maintenance branch', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v1.2.0\nv1.2.7\nv1.3.0\nv2.0.0\n' });
+
+      const result = await getLatestReleaseData('/repo', 'HEAD', '0.0.0', { range: '1.2.x' });
+      expect(result.currentReleaseRef).toBe('v1.2.7');
+    });
+
+    it('should only consider tags matching the tag format', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v3.0.0\nmycomponent/v1.2.0\nmycomponent/v1.1.0\n' });
+
+      const result = await getLatestReleaseData('/repo', 'HEAD', '0.0.0', { tagFormat: 'mycomponent/v{version}' });
+      expect(result).toEqual({ currentReleaseRef: 'mycomponent/v1.2.0', currentReleaseTag: '1.2.0' });
+    });
+
+    it('should return default version when there are no semver tags', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'nightly\n' });
+
+      const result = await getLatestReleaseData('/repo', 'HEAD', '0.3.0');
+
+      expect(result).toEqual({
+        currentReleaseRef: null,
+        currentReleaseTag: '0.3.0'
+      });
+      expect(core.warning).toHaveBeenCalledWith('No previous release tags found, using default version');
+    });
+
+    it('should throw descriptive error when git fails', async () => {
+      getExecOutput.mockRejectedValue(new Error('not a git repository'));
+
+      await expect(getLatestReleaseData('/repo', 'HEAD', '0.0.0')).rejects.toThrow(
+        'Failed to get latest release: not a git repository'
+      );
+    });
+  });
+
+  describe('getCommits', () => {
+    it('should read the commit range from git log', async () => {
+      getExecOutput.mockResolvedValue({
+        stdout:
+          'aaaa1111\x1fJane Smith\x1fjane@example.com\x1f2024-01-02T10:00:00+00:00\x1ffix: newer change\n\nSome body\n\x1e\n' +
+          'bbbb2222\x1fJohn Doe\x1fjohn@example.com\x1f2024-01-01T10:00:00+00:00\x1ffeat: older change\n\x1e\n'
+      });
+
+      const result = await getCommits('/repo', 'v1.0.0', 'HEAD');
+
+      expect(getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['log', '--format=%H\x1f%an\x1f%ae\x1f%cI\x1f%B\x1e', 'v1.0.0..HEAD'],
+        {
+          cwd: '/repo',
+          silent: true
+        }
+      );
+      expect(result).toEqual([
+        {
+          sha: 'aaaa1111',
+          message: 'fix: newer change\n\nSome body',
+          author: 'Jane Smith',
+          email: 'jane@example.com',
+          date: '2024-01-02T10:00:00+00:00'
+        },
+        {
+          sha: 'bbbb2222',
+          message: 'feat: older change',
+          author: 'John Doe',
+          email: 'john@example.com',
+          date: '2024-01-01T10:00:00+00:00'
+        }
+      ]);
+    });
+
+    it('should read the whole history when there is no previous release', async () => {
+      getExecOutput.mockResolvedValue({ stdout: '' });
+
+      const result = await getCommits('/repo', null, 'HEAD');
+
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['log', '--format=%H\x1f%an\x1f%ae\x1f%cI\x1f%B\x1e', 'HEAD'], {
+        cwd: '/repo',
+        silent: true
+      });
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('getCommitFiles', () => {
+    it('should list the files changed by a commit', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'packages/api/index.js\nREADME.md\n' });
+
+      const result = await getCommitFiles('/repo', 'abc1234');
+
+      expect(getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['diff-tree', '--no-commit-id', '--name-only', '-r', '--root', 'abc1234'],
+        { cwd: '/repo', silent: true }
+      );
+      expect(result).toEqual(['packages/api/index.js', 'README.md']);
+    });
+  });
+
+  describe('hasCommitsBefore', () => {
+    it('should look for a commit by the author reachable from the ref', async () => {
+      getExecOutput.mockResolvedValueOnce({ stdout: 'abc1234\n' });
+      getExecOutput.mockResolvedValueOnce({ stdout: '' });
+
+      await expect(hasCommitsBefore('/repo', 'John Doe', 'v1.0.0')).resolves.toBe(true);
+      await expect(hasCommitsBefore('/repo', 'Jane (new)', 'v1.0.0')).resolves.toBe(false);
+      expect(getExecOutput).toHaveBeenCalledWith(
+        'git',
+        ['log', '-1', '--format=%H', '--fixed-strings', '--author=John Doe', 'v1.0.0'],
+        { cwd: '/repo', silent: true }
+      );
+    });
+  });
+
+  describe('listTags', () => {
+    it('should list all tags in the repository', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'v1.0.0\nv1.1.0-rc.0\n' });
+
+      const result = await listTags('/repo');
+
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['tag', '--list'], { cwd: '/repo', silent: true });
+      expect(result).toEqual(['v1.0.0', 'v1.1.0-rc.0']);
+    });
+  });
+
+  describe('getBranchHead', () => {
+    it('should ask the remote for the branch head', async () => {
+      getExecOutput.mockResolvedValue({ stdout: 'abc1234\trefs/heads/main\n' });
+
+      await expect(getBranchHead('/repo', 'main')).resolves.toBe('abc1234');
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['ls-remote', 'origin', 'refs/heads/main'], {
+        cwd: '/repo',
+        silent: true
+      });
+    });
+  });
+
+  describe('commitFiles', () => {
+    it('should commit the files on top of the parent and push the branch', async () => {
+      getExecOutput.mockImplementation(async (command, args) => ({
+        stdout: args[0] === 'rev-parse' ? 'def5678\n' : ''
+      }));
+
+      const sha = await commitFiles('/repo', {
+        branch: 'main',
+        parentRef: 'abc1234',
+        message: 'chore(release): v1.1.0',
+        files: [{ path: 'package.json', content: '{}' }]
+      });
+
+      const calls = getExecOutput.mock.calls.map((call) => call[1]);
+      expect(calls).toEqual([
+        ['checkout', '--detach', 'abc1234'],
+        ['add', '--', 'package.json'],
+        [
+          '-c',
+          'user.name=github-actions[bot]',
+          '-c',
+          'user.email=41898282+github-actions[bot]@users.noreply.github.com',
+          'commit',
+          '-m',
+          'chore(release): v1.1.0'
+        ],
+        ['push', 'origin', 'HEAD:refs/heads/main'],
+        ['rev-parse', 'HEAD']
+      ]);
+      expect(sha).toBe('def5678');
+    });
+
+    it('should force push when asked to', async () => {
+      getExecOutput.mockResolvedValue({ stdout: '' });
+
+      await commitFiles('/repo', { branch: 'next', parentRef: 'HEAD', message: 'chore', files: [], force: true });
+
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['push', '--force', 'origin', 'HEAD:refs/heads/next'], {
+        cwd: '/repo',
+        silent: true
+      });
+    });
+
+    it('should throw descriptive error when git fails', async () => {
+      getExecOutput.mockRejectedValue(new Error('rejected'));
+
+      await expect(
+        commitFiles('/repo', { branch: 'main', parentRef: 'HEAD', message: 'chore', files: [] })
+      ).rejects.toThrow('Failed to commit files: rejected');
+    });
+  });
+
+  describe('createRelease', () => {
+    it('should create and push an annotated tag', async () => {
+      getExecOutput.mockResolvedValue({ stdout: '' });
+
+      const result = await createRelease('/repo', {
+        tagName: 'v1.1.0',
+        targetRef: 'abc1234',
+        name: 'v1.1.0',
+        body: '# Release 1.1.0',
+        draft: false,
+        prerelease: false
+      });
+
+      expect(result).toEqual({ id: null, url: '' });
+
+      expect(getExecOutput).toHaveBeenCalledWith(
+        'git',
+        [
+          '-c',
+          'user.name=github-actions[bot]',
+          '-c',
+          'user.email=41898282+github-actions[bot]@users.noreply.github.com',
+          'tag',
+          '--annotate',
+          '--cleanup=verbatim',
+          'v1.1.0',
+          'abc1234',
+          '-m',
+          'v1.1.0',
+          '-m',
+          '# Release 1.1.0'
+        ],
+        { cwd: '/repo', silent: true }
+      );
+      expect(getExecOutput).toHaveBeenCalledWith('git', ['push', 'origin', 'refs/tags/v1.1.0'], {
+        cwd: '/repo',
+        silent: true
+      });
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('should warn that drafts are not supported', async () => {
+      getExecOutput.mockResolvedValue({ stdout: '' });
+
+      await createRelease('/repo', { tagName: 'v1.1.0', targetRef: 'HEAD', name: 'v1.1.0', body: '', draft: true });
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'The git backend cannot create draft or pre-release GitHub releases, pushing a plain tag instead'
+      );
+    });
+  });
+
+  describe('createGitBackend', () => {
+    it('should run every operation in the given working directory', async () => {
+      getExecOutput.mockResolvedValue({ stdout: '' });
+
+      const backend = createGitBackend('/workspace');
+      expect(backend.name).toBe('git');
+
+      await backend.getCommits(null, 'HEAD');
+      expect(getExecOutput.mock.calls[0][2]).toEqual({ cwd: '/workspace', silent: true });
+    });
+
+    it('should not know about pull requests', async () => {
+      await expect(createGitBackend('/workspace').getPullRequests('abc1234')).resolves.toEqual([]);
+      await expect(createGitBackend('/workspace').getPullRequest(12)).resolves.toBeNull();
+      expect(getExecOutput).not.toHaveBeenCalled();
+    });
+
+    it('should not know about draft releases', async () => {
+      await expect(createGitBackend('/workspace').listDraftReleases()).resolves.toEqual([]);
+      expect(getExecOutput).not.toHaveBeenCalled();
+    });
+  });
+});
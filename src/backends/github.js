@@ -0,0 +1,413 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+import { isInRange } from '../maintenance.js';
+import { DEFAULT_TAG_FORMAT, getHighestVersionTag, getVersionTags, parseTag } from '../tag-format.js';
+
+async function getLatestReleaseTag(octokit, owner, repo) {
+  try {
+    const latestRelease = await octokit.rest.repos.getLatestRelease({ owner, repo });
+    core.debug(`Latest release data: ${JSON.stringify(latestRelease.data, null, 2)}`);
+    return latestRelease.data.tag_name || null;
+  } catch (error) {
+    if (error.message.includes('Not Found')) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function findHighestRelease(octokit, owner, repo, { tagFormat, range, includePrereleases }) {
+  const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 });
+  const versionTags = getVersionTags(
+    releases
+      .filter((release) => !release.draft && (includePrereleases || !release.prerelease))
+      .map((release) => release.tag_name),
+    tagFormat
+  )
+    .filter(({ version }) => includePrereleases || semver.prerelease(version) === null)
+    .filter(({ version }) => isInRange(version, range));
+  return getHighestVersionTag(versionTags);
+}
+
+async function findLatestRelease(octokit, owner, repo, { tagFormat, range }) {
+  const latestTag = await getLatestReleaseTag(octokit, owner, repo);
+  if (!latestTag) {
+    return null;
+  }
+
+  // GitHub's latest release may belong to another tag family or release line, in which case the highest matching
+  // release is used
+  const latestVersion = parseTag(tagFormat, latestTag);
+  return latestVersion && isInRange(latestVersion, range)
+    ? { tag: latestTag, version: latestVersion }
+    : findHighestRelease(octokit, owner, repo, { tagFormat, range, includePrereleases: false });
+}
+
+async function isReachable(octokit, owner, repo, ref, headRef) {
+  const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+    owner,
+    repo,
+    basehead: `${ref}...${headRef}`,
+    per_page: 1
+  });
+  return data.status === 'ahead' || data.status === 'identical';
+}
+
+async function findHighestReachableTag(octokit, owner, repo, { headRef, tagFormat, range }) {
+  const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+  const candidates = getVersionTags(
+    tags.map((tag) => tag.name),
+    tagFormat
+  )
+    .filter(({ version }) => semver.prerelease(version) === null && isInRange(version, range))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+
+  // Tags of newer lines that head does not contain, e.g. 2.x when patching 1.x, are skipped
+  for (const candidate of candidates) {
+    if (await isReachable(octokit, owner, repo, candidate.tag, headRef)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+async function findPreviousRelease(octokit, owner, repo, { headRef, tagFormat, range, strategy }) {
+  switch (strategy) {
+    case 'highest-tag':
+      return findHighestReachableTag(octokit, owner, repo, { headRef, tagFormat, range });
+
+    case 'highest-release':
+      return findHighestRelease(octokit, owner, repo, { tagFormat, range, includePrereleases: true });
+
+    default:
+      return findLatestRelease(octokit, owner, repo, { tagFormat, range });
+  }
+}
+
+async function getLatestReleaseData(
+  octokit,
+  owner,
+  repo,
+  defaultVersion,
+  { headRef = 'HEAD', tagFormat = DEFAULT_TAG_FORMAT, range = '', strategy = 'latest-release' } = {}
+) {
+  try {
+    const latest = await findPreviousRelease(octokit, owner, repo, { headRef, tagFormat, range, strategy });
+    if (!latest) {
+      core.warning('No previous releases found, using default version');
+      return {
+        currentReleaseRef: null,
+        currentReleaseTag: defaultVersion
+      };
+    }
+
+    return {
+      currentReleaseRef: latest.tag,
+      currentReleaseTag: latest.version
+    };
+  } catch (error) {
+    throw new Error(`Failed to get latest release: ${error.message}`);
+  }
+}
+
+async function listCommitsInRange(octokit, owner, repo, baseRef, headRef) {
+  // Without a previous release every commit reachable from head is part of the range
+  if (!baseRef) {
+    return octokit.paginate(octokit.rest.repos.listCommits, {
+      owner,
+      repo,
+      sha: headRef,
+      per_page: 100
+    });
+  }
+
+  // The compare API returns the commits reachable from head but not from base, oldest first
+  const commits = await octokit.paginate(
+    octokit.rest.repos.compareCommitsWithBasehead,
+    {
+      owner,
+      repo,
+      basehead: `${baseRef}...${headRef}`,
+      per_page: 100
+    },
+    (response) => response.data.commits
+  );
+  return commits.reverse();
+}
+
+async function getCommits(octokit, owner, repo, baseRef, headRef) {
+  const commits = await listCommitsInRange(octokit, owner, repo, baseRef, headRef);
+  return commits.map((commit) => ({
+    sha: commit.sha,
+    message: commit.commit.message,
+    author: commit.commit.author.name,
+    email: commit.commit.author.email,
+    // Commits by emails that are not linked to an account have no GitHub user
+    login: commit.author ? commit.author.login : null,
+    date: commit.commit.committer.date
+  }));
+}
+
+async function getCommitFiles(octokit, owner, repo, sha) {
+  try {
+    const commit = await octokit.rest.repos.getCommit({ owner, repo, ref: sha });
+    return (commit.data.files || []).map((file) => file.filename);
+  } catch (error) {
+    throw new Error(`Failed to get files changed by ${sha}: ${error.message}`);
+  }
+}
+
+function formatPullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    branch: pullRequest.head.ref,
+    author: pullRequest.user ? pullRequest.user.login : null,
+    labels: (pullRequest.labels || []).map((label) => label.name)
+  };
+}
+
+async function getPullRequests(octokit, owner, repo, sha) {
+  try {
+    const { data } = await octokit.rest.repos.listPullRequestsAssociatedWithCommit({ owner, repo, commit_sha: sha });
+    return data.filter((pullRequest) => pullRequest.merged_at).map(formatPullRequest);
+  } catch (error) {
+    throw new Error(`Failed to get pull requests for ${sha}: ${error.message}`);
+  }
+}
+
+async function getPullRequest(octokit, owner, repo, number) {
+  try {
+    const { data } = await octokit.rest.pulls.get({ owner, repo, pull_number: number });
+    return data.merged_at ? formatPullRequest(data) : null;
+  } catch (error) {
+    // The "(#123)" suffix may just as well name an issue
+    if (error.message.includes('Not Found')) {
+      return null;
+    }
+    throw new Error(`Failed to get pull request #${number}: ${error.message}`);
+  }
+}
+
+async function hasCommitsBefore(octokit, owner, repo, author, ref) {
+  try {
+    const { data } = await octokit.rest.repos.listCommits({ owner, repo, sha: ref, author, per_page: 1 });
+    return data.length > 0;
+  } catch (error) {
+    throw new Error(`Failed to look up earlier commits by ${author}: ${error.message}`);
+  }
+}
+
+async function listTags(octokit, owner, repo) {
+  try {
+    const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+    return tags.map((tag) => tag.name);
+  } catch (error) {
+    throw new Error(`Failed to list tags: ${error.message}`);
+  }
+}
+
+async function forceUpdateBranch(octokit, owner, repo, branch, sha) {
+  try {
+    await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha, force: true });
+  } catch (error) {
+    if (!error.message.includes('Reference does not exist')) {
+      throw error;
+    }
+    await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha });
+  }
+}
+
+async function getBranchHead(octokit, owner, repo, branch) {
+  try {
+    const { data } = await octokit.rest.repos.getBranch({ owner, repo, branch });
+    return data.commit.sha;
+  } catch (error) {
+    throw new Error(`Failed to get the head of branch ${branch}: ${error.message}`);
+  }
+}
+
+async function commitFiles(octokit, owner, repo, { branch, parentRef, message, files, force = false }) {
+  try {
+    const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentRef });
+    const { data: tree } = await octokit.rest.git.createTree({
+      owner,
+      repo,
+      base_tree: parent.tree.sha,
+      tree: files.map((file) => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+    });
+    const { data: commit } = await octokit.rest.git.createCommit({
+      owner,
+      repo,
+      message,
+      tree: tree.sha,
+      parents: [parent.sha]
+    });
+    // Branches that are rebuilt from scratch on every run, like the release PR branch, are reset or created
+    if (force) {
+      await forceUpdateBranch(octokit, owner, repo, branch, commit.sha);
+    } else {
+      await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha });
+    }
+    return commit.sha;
+  } catch (error) {
+    throw new Error(`Failed to commit files: ${error.message}`);
+  }
+}
+
+async function openPullRequest(octokit, owner, repo, { head, base, title, body }) {
+  try {
+    const { data: existing } = await octokit.rest.pulls.list({
+      owner,
+      repo,
+      head: `${owner}:${head}`,
+      base,
+      state: 'open'
+    });
+    const { data: pullRequest } =
+      existing.length > 0
+        ? await octokit.rest.pulls.update({ owner, repo, pull_number: existing[0].number, title, body })
+        : await octokit.rest.pulls.create({ owner, repo, head, base, title, body });
+    return { number: pullRequest.number, url: pullRequest.html_url };
+  } catch (error) {
+    throw new Error(`Failed to open pull request from ${head}: ${error.message}`);
+  }
+}
+
+async function commentOnPullRequest(octokit, owner, repo, number, { marker, body }) {
+  try {
+    const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+      owner,
+      repo,
+      issue_number: number,
+      per_page: 100
+    });
+    const existing = comments.find((comment) => comment.body && comment.body.includes(marker));
+    const { data: comment } = existing
+      ? await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body })
+      : await octokit.rest.issues.createComment({ owner, repo, issue_number: number, body });
+    return { id: comment.id, url: comment.html_url };
+  } catch (error) {
+    throw new Error(`Failed to comment on pull request #${number}: ${error.message}`);
+  }
+}
+
+async function createRelease(octokit, owner, repo, release) {
+  const { data } = await octokit.request('POST /repos/{owner}/{repo}/releases', {
+    owner,
+    repo,
+    tag_name: release.tagName,
+    target_commitish: release.targetRef,
+    name: release.name,
+    body: release.body,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    // Releases of older lines, e.g. from a maintenance branch, must not take over as the latest release
+    ...(release.latest === false ? { make_latest: 'false' } : {}),
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8'
+    }
+  });
+  return { id: data.id, url: data.html_url };
+}
+
+async function listDraftReleases(octokit, owner, repo) {
+  try {
+    const releases = await octokit.paginate(octokit.rest.repos.listReleases, { owner, repo, per_page: 100 });
+    return releases
+      .filter((release) => release.draft)
+      .map((release) => ({ id: release.id, tagName: release.tag_name, url: release.html_url }));
+  } catch (error) {
+    throw new Error(`Failed to list draft releases: ${error.message}`);
+  }
+}
+
+async function updateRelease(octokit, owner, repo, releaseId, release) {
+  try {
+    const { data } = await octokit.rest.repos.updateRelease({
+      owner,
+      repo,
+      release_id: releaseId,
+      tag_name: release.tagName,
+      target_commitish: release.targetRef,
+      name: release.name,
+      body: release.body,
+      draft: release.draft,
+      prerelease: release.prerelease,
+      ...(release.latest === false ? { make_latest: 'false' } : {})
+    });
+    return { id: data.id, url: data.html_url };
+  } catch (error) {
+    throw new Error(`Failed to update release ${release.tagName}: ${error.message}`);
+  }
+}
+
+async function uploadReleaseAsset(octokit, owner, repo, releaseId, { name, contentType, data }) {
+  try {
+    // An asset of the same name, e.g. from an upload that failed half-way, is replaced rather than rejected
+    const assets = await octokit.paginate(octokit.rest.repos.listReleaseAssets, {
+      owner,
+      repo,
+      release_id: releaseId,
+      per_page: 100
+    });
+    for (const asset of assets.filter((existing) => existing.name === name)) {
+      await octokit.rest.repos.deleteReleaseAsset({ owner, repo, asset_id: asset.id });
+    }
+
+    const { data: asset } = await octokit.rest.repos.uploadReleaseAsset({
+      owner,
+      repo,
+      release_id: releaseId,
+      name,
+      data,
+      headers: {
+        'content-type': contentType,
+        'content-length': data.length
+      }
+    });
+    return asset.browser_download_url;
+  } catch (error) {
+    throw new Error(`Failed to upload release asset ${name}: ${error.message}`);
+  }
+}
+
+function createGitHubBackend(octokit, owner, repo) {
+  return {
+    name: 'github',
+    getLatestRelease: (defaultVersion, headRef, options = {}) =>
+      getLatestReleaseData(octokit, owner, repo, defaultVersion, { ...options, headRef }),
+    getCommits: (baseRef, headRef) => getCommits(octokit, owner, repo, baseRef, headRef),
+    getCommitFiles: (sha) => getCommitFiles(octokit, owner, repo, sha),
+    getPullRequests: (sha) => getPullRequests(octokit, owner, repo, sha),
+    getPullRequest: (number) => getPullRequest(octokit, owner, repo, number),
+    hasCommitsBefore: (author, ref) => hasCommitsBefore(octokit, owner, repo, author, ref),
+    listTags: () => listTags(octokit, owner, repo),
+    getBranchHead: (branch) => getBranchHead(octokit, owner, repo, branch),
+    commitFiles: (commit) => commitFiles(octokit, owner, repo, commit),
+    openPullRequest: (pullRequest) => openPullRequest(octokit, owner, repo, pullRequest),
+    commentOnPullRequest: (number, comment) => commentOnPullRequest(octokit, owner, repo, number, comment),
+    createRelease: (release) => createRelease(octokit, owner, repo, release),
+    listDraftReleases: () => listDraftReleases(octokit, owner, repo),
+    updateRelease: (releaseId, release) => updateRelease(octokit, owner, repo, releaseId, release),
+    uploadReleaseAsset: (releaseId, asset) => uploadReleaseAsset(octokit, owner, repo, releaseId, asset)
+  };
+}
+
+export {
+  createGitHubBackend,
+  getLatestReleaseData,
+  getCommits,
+  getCommitFiles,
+  getPullRequests,
+  getPullRequest,
+  hasCommitsBefore,
+  listTags,
+  getBranchHead,
+  commitFiles,
+  openPullRequest,
+  commentOnPullRequest,
+  createRelease,
+  listDraftReleases,
+  updateRelease,
+  uploadReleaseAsset
+};
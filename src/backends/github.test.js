@@ -0,0 +1,809 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const {
+  createGitHubBackend,
+  getBranchHead,
+  openPullRequest,
+  commentOnPullRequest,
+  getLatestReleaseData,
+  getCommits,
+  getCommitFiles,
+  getPullRequests,
+  getPullRequest,
+  hasCommitsBefore,
+  listTags,
+  commitFiles,
+  createRelease,
+  listDraftReleases,
+  updateRelease,
+  uploadReleaseAsset
+} = await import('./github.js');
+
+describe('GitHub backend', () => {
+  let mockOctokit;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockOctokit = {
+      rest: {
+        repos: {
+          getLatestRelease: jest.fn(),
+          listCommits: jest.fn(),
+          compareCommitsWithBasehead: jest.fn(),
+          listTags: jest.fn(),
+          getCommit: jest.fn(),
+          listPullRequestsAssociatedWithCommit: jest.fn(),
+          getBranch: jest.fn(),
+          listReleases: jest.fn(),
+          listReleaseAssets: jest.fn(),
+          deleteReleaseAsset: jest.fn(),
+          uploadReleaseAsset: jest.fn(),
+          updateRelease: jest.fn()
+        },
+        git: {
+          getCommit: jest.fn(),
+          createTree: jest.fn(),
+          createCommit: jest.fn(),
+          updateRef: jest.fn(),
+          createRef: jest.fn()
+        },
+        issues: {
+          createComment: jest.fn(),
+          updateComment: jest.fn()
+        },
+        pulls: {
+          get: jest.fn(),
+          list: jest.fn(),
+          create: jest.fn(),
+          update: jest.fn()
+        }
+      },
+      paginate: jest.fn(),
+      request: jest.fn()
+    };
+  });
+
+  describe('getLatestReleaseData', () => {
+    it('should return latest release data when release exists', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({
+        data: {
+          created_at: '2024-01-15T10:30:00Z',
+          tag_name: 'v1.2.3'
+        }
+      });
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0');
+      expect(result).toEqual({
+        currentReleaseRef: 'v1.2.3',
+        currentReleaseTag: '1.2.3'
+      });
+    });
+
+    it('should use default version when no release matches the tag format', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({
+        data: {
+          created_at: '2024-01-15T10:30:00Z',
+          tag_name: 'invalid-tag'
+        }
+      });
+      mockOctokit.paginate.mockResolvedValue([{ tag_name: 'invalid-tag' }]);
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.1.0');
+      expect(result).toEqual({
+        currentReleaseRef: null,
+        currentReleaseTag: '0.1.0'
+      });
+    });
+
+    it('should fall back to the highest stable release of the tag family', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: { tag_name: 'web-v9.0.0' } });
+      mockOctokit.paginate.mockResolvedValue([
+        { tag_name: 'web-v9.0.0' },
+        { tag_name: 'api/v1.4.0' },
+        { tag_name: 'api/v1.10.0' },
+        { tag_name: 'api/v2.0.0-rc.0', prerelease: true },
+        { tag_name: 'api/v3.0.0', draft: true }
+      ]);
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0', { tagFormat: 'api/v{version}' });
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listReleases, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+      expect(result).toEqual({ currentReleaseRef: 'api/v1.10.0', currentReleaseTag: '1.10.0' });
+    });
+
+    it('should use the latest release directly when it matches the tag format', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: { tag_name: 'release-2.1.0' } });
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0', {
+        tagFormat: 'release-{version}'
+      });
+
+      expect(result).toEqual({ currentReleaseRef: 'release-2.1.0', currentReleaseTag: '2.1.0' });
+      expect(mockOctokit.paginate).not.toHaveBeenCalled();
+    });
+
+    it('should return default version when no previous release exists', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockRejectedValue(new Error('Not Found'));
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '1.0.0');
+      expect(result.currentReleaseTag).toBe('1.0.0');
+    });
+
+    it('should return default version when no tag name exists', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: {} });
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.5.0');
+      expect(result).toEqual({
+        currentReleaseRef: null,
+        currentReleaseTag: '0.5.0'
+      });
+    });
+
+    it('should use the tag even when the release was created long after it', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({
+        data: { created_at: '2025-06-01T00:00:00Z', tag_name: 'v1.0.0' }
+      });
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0');
+      expect(result.currentReleaseRef).toBe('v1.0.0');
+      expect(result.currentReleaseTag).toBe('1.0.0');
+    });
+
+    it('should pick the highest stable tag that head contains with the highest-tag strategy', async () => {
+      mockOctokit.paginate.mockResolvedValue([{ name: 'v2.0.0' }, { name: 'v1.4.0' }, { name: 'v1.5.0-rc.0' }]);
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockImplementation(async ({ basehead }) => ({
+        data: { status: basehead.startsWith('v2.0.0') ? 'diverged' : 'ahead' }
+      }));
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0', {
+        headRef: 'abc1234',
+        strategy: 'highest-tag'
+      });
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listTags, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+      expect(mockOctokit.rest.repos.compareCommitsWithBasehead).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        basehead: 'v2.0.0...abc1234',
+        per_page: 1
+      });
+      expect(result).toEqual({ currentReleaseRef: 'v1.4.0', currentReleaseTag: '1.4.0' });
+      expect(mockOctokit.rest.repos.getLatestRelease).not.toHaveBeenCalled();
+    });
+
+    it('should include pre-releases with the highest-release strategy', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { tag_name: 'v1.4.0' },
+        { tag_name: 'v1.5.0-rc.1', prerelease: true },
+        { tag_name: 'v1.6.0', draft: true }
+      ]);
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0', {
+        strategy: 'highest-release'
+      });
+
+      expect(result).toEqual({ currentReleaseRef: 'v1.5.0-rc.1', currentReleaseTag: '1.5.0-rc.1' });
+    });
+
+    it('should only consider releases within the range of a maintenance branch', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: { tag_name: 'v2.1.0' } });
+      mockOctokit.paginate.mockResolvedValue([{ tag_name: 'v2.1.0' }, { tag_name: 'v1.4.2' }, { tag_name: 'v1.3.0' }]);
+
+      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0', { range: '1.x' });
+
+      expect(result).toEqual({ currentReleaseRef: 'v1.4.2', currentReleaseTag: '1.4.2' });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockRejectedValue(new Error('Unknown error'));
+
+      await expect(getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0')).rejects.toThrow(
+        'Failed to get latest release: Unknown error'
+      );
+    });
+  });
+
+  describe('getCommits', () => {
+    it('should list all commits reachable from head when there is no previous release', async () => {
+      mockOctokit.paginate.mockResolvedValue([]);
+
+      await getCommits(mockOctokit, 'test-owner', 'test-repo', null, 'abc1234');
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listCommits, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        sha: 'abc1234',
+        per_page: 100
+      });
+    });
+
+    it('should compare the previous release tag against head', async () => {
+      mockOctokit.paginate.mockResolvedValue([]);
+
+      await getCommits(mockOctokit, 'test-owner', 'test-repo', 'v1.2.3', 'abc1234');
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(
+        mockOctokit.rest.repos.compareCommitsWithBasehead,
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          basehead: 'v1.2.3...abc1234',
+          per_page: 100
+        },
+        expect.any(Function)
+      );
+
+      const mapResponse = mockOctokit.paginate.mock.calls[0][2];
+      expect(mapResponse({ data: { commits: ['a', 'b'] } })).toEqual(['a', 'b']);
+    });
+
+    it('should return compared commits newest first', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        {
+          sha: '1111111111',
+          commit: { message: 'feat: older', author: { name: 'A' }, committer: { date: '2024-01-01T00:00:00Z' } }
+        },
+        {
+          sha: '2222222222',
+          commit: { message: 'fix: newer', author: { name: 'B' }, committer: { date: '2024-01-02T00:00:00Z' } }
+        }
+      ]);
+
+      const result = await getCommits(mockOctokit, 'owner', 'repo', 'v1.0.0', 'HEAD');
+      expect(result.map((commit) => commit.sha)).toEqual(['2222222222', '1111111111']);
+    });
+
+    it('should normalize commits to sha, message, author, email, login and date', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        {
+          sha: '1234567890abcdef1234567890abcdef12345678',
+          author: { login: 'jdoe' },
+          commit: {
+            message: 'feat: add thing',
+            author: { name: 'John Doe', email: 'jdoe@example.com' },
+            committer: { date: '2024-01-15T10:30:00Z' }
+          }
+        },
+        {
+          sha: 'abcdef1234567890abcdef1234567890abcdef12',
+          author: null,
+          commit: {
+            message: 'fix: unlinked email',
+            author: { name: 'Jane Smith', email: 'jane@example.com' },
+            committer: { date: '2024-01-14T10:30:00Z' }
+          }
+        }
+      ]);
+
+      const result = await getCommits(mockOctokit, 'owner', 'repo', null, 'HEAD');
+      expect(result).toEqual([
+        {
+          sha: '1234567890abcdef1234567890abcdef12345678',
+          message: 'feat: add thing',
+          author: 'John Doe',
+          email: 'jdoe@example.com',
+          login: 'jdoe',
+          date: '2024-01-15T10:30:00Z'
+        },
+        {
+          sha: 'abcdef1234567890abcdef1234567890abcdef12',
+          message: 'fix: unlinked email',
+          author: 'Jane Smith',
+          email: 'jane@example.com',
+          login: null,
+          date: '2024-01-14T10:30:00Z'
+        }
+      ]);
+    });
+  });
+
+  describe('getCommitFiles', () => {
+    it('should return the files changed by a commit', async () => {
+      mockOctokit.rest.repos.getCommit.mockResolvedValue({
+        data: { files: [{ filename: 'packages/api/index.js' }, { filename: 'README.md' }] }
+      });
+
+      const result = await getCommitFiles(mockOctokit, 'owner', 'repo', 'abc1234');
+
+      expect(mockOctokit.rest.repos.getCommit).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', ref: 'abc1234' });
+      expect(result).toEqual(['packages/api/index.js', 'README.md']);
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.repos.getCommit.mockRejectedValue(new Error('Not Found'));
+
+      await expect(getCommitFiles(mockOctokit, 'owner', 'repo', 'abc1234')).rejects.toThrow(
+        'Failed to get files changed by abc1234: Not Found'
+      );
+    });
+  });
+
+  describe('getPullRequests', () => {
+    it('should return the merged pull requests containing a commit', async () => {
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue({
+        data: [
+          {
+            number: 42,
+            merged_at: '2024-01-15T10:30:00Z',
+            head: { ref: 'feature' },
+            user: { login: 'jdoe' },
+            labels: [{ name: 'highlight' }]
+          },
+          { number: 43, merged_at: null, head: { ref: 'wip' }, user: { login: 'jsmith' } }
+        ]
+      });
+
+      const result = await getPullRequests(mockOctokit, 'owner', 'repo', 'abc1234');
+
+      expect(mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        commit_sha: 'abc1234'
+      });
+      expect(result).toEqual([{ number: 42, branch: 'feature', author: 'jdoe', labels: ['highlight'] }]);
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockRejectedValue(new Error('Not Found'));
+
+      await expect(getPullRequests(mockOctokit, 'owner', 'repo', 'abc1234')).rejects.toThrow(
+        'Failed to get pull requests for abc1234: Not Found'
+      );
+    });
+  });
+
+  describe('getPullRequest', () => {
+    it('should return a merged pull request by its number', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: {
+          number: 42,
+          merged_at: '2024-01-15T10:30:00Z',
+          head: { ref: 'feature' },
+          user: { login: 'jdoe' },
+          labels: [{ name: 'highlight' }]
+        }
+      });
+
+      const result = await getPullRequest(mockOctokit, 'owner', 'repo', 42);
+
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', pull_number: 42 });
+      expect(result).toEqual({ number: 42, branch: 'feature', author: 'jdoe', labels: ['highlight'] });
+    });
+
+    it('should return null for unmerged pull requests and issue numbers', async () => {
+      mockOctokit.rest.pulls.get.mockResolvedValueOnce({
+        data: { number: 43, merged_at: null, head: { ref: 'wip' }, user: { login: 'jsmith' } }
+      });
+      mockOctokit.rest.pulls.get.mockRejectedValueOnce(new Error('Not Found'));
+
+      await expect(getPullRequest(mockOctokit, 'owner', 'repo', 43)).resolves.toBeNull();
+      await expect(getPullRequest(mockOctokit, 'owner', 'repo', 44)).resolves.toBeNull();
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.pulls.get.mockRejectedValue(new Error('Bad credentials'));
+
+      await expect(getPullRequest(mockOctokit, 'owner', 'repo', 42)).rejects.toThrow(
+        'Failed to get pull request #42: Bad credentials'
+      );
+    });
+  });
+
+  describe('hasCommitsBefore', () => {
+    it('should look for a single commit by the author reachable from the ref', async () => {
+      mockOctokit.rest.repos.listCommits.mockResolvedValueOnce({ data: [{ sha: 'abc1234' }] });
+      mockOctokit.rest.repos.listCommits.mockResolvedValueOnce({ data: [] });
+
+      await expect(hasCommitsBefore(mockOctokit, 'owner', 'repo', 'jdoe', 'v1.0.0')).resolves.toBe(true);
+      await expect(hasCommitsBefore(mockOctokit, 'owner', 'repo', 'newbie', 'v1.0.0')).resolves.toBe(false);
+      expect(mockOctokit.rest.repos.listCommits).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        sha: 'v1.0.0',
+        author: 'jdoe',
+        per_page: 1
+      });
+    });
+  });
+
+  describe('listTags', () => {
+    it('should return the names of all tags', async () => {
+      mockOctokit.paginate.mockResolvedValue([{ name: 'v1.0.0' }, { name: 'v1.1.0-rc.0' }]);
+
+      const result = await listTags(mockOctokit, 'owner', 'repo');
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listTags, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+      expect(result).toEqual(['v1.0.0', 'v1.1.0-rc.0']);
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.paginate.mockRejectedValue(new Error('Bad credentials'));
+
+      await expect(listTags(mockOctokit, 'owner', 'repo')).rejects.toThrow('Failed to list tags: Bad credentials');
+    });
+  });
+
+  describe('getBranchHead', () => {
+    it('should return the commit the branch points at', async () => {
+      mockOctokit.rest.repos.getBranch.mockResolvedValue({ data: { commit: { sha: 'abc1234' } } });
+
+      await expect(getBranchHead(mockOctokit, 'owner', 'repo', 'main')).resolves.toBe('abc1234');
+      expect(mockOctokit.rest.repos.getBranch).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', branch: 'main' });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.repos.getBranch.mockRejectedValue(new Error('Branch not found'));
+
+      await expect(getBranchHead(mockOctokit, 'owner', 'repo', 'main')).rejects.toThrow(
+        'Failed to get the head of branch main: Branch not found'
+      );
+    });
+  });
+
+  describe('commitFiles', () => {
+    it('should create a commit through the Git Data API and move the branch to it', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue({ data: { sha: 'abc1234', tree: { sha: 'tree1' } } });
+      mockOctokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'tree2' } });
+      mockOctokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'def5678' } });
+
+      const sha = await commitFiles(mockOctokit, 'owner', 'repo', {
+        branch: 'main',
+        parentRef: 'abc1234',
+        message: 'chore(release): v1.1.0',
+        files: [{ path: 'package.json', content: '{"version":"1.1.0"}' }]
+      });
+
+      expect(mockOctokit.rest.git.createTree).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        base_tree: 'tree1',
+        tree: [{ path: 'package.json', mode: '100644', type: 'blob', content: '{"version":"1.1.0"}' }]
+      });
+      expect(mockOctokit.rest.git.createCommit).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        message: 'chore(release): v1.1.0',
+        tree: 'tree2',
+        parents: ['abc1234']
+      });
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/main',
+        sha: 'def5678'
+      });
+      expect(sha).toBe('def5678');
+    });
+
+    it('should force the branch to the new commit or create it', async () => {
+      mockOctokit.rest.git.getCommit.mockResolvedValue({ data: { sha: 'abc1234', tree: { sha: 'tree1' } } });
+      mockOctokit.rest.git.createTree.mockResolvedValue({ data: { sha: 'tree2' } });
+      mockOctokit.rest.git.createCommit.mockResolvedValue({ data: { sha: 'def5678' } });
+      mockOctokit.rest.git.updateRef.mockRejectedValue(new Error('Reference does not exist'));
+
+      await commitFiles(mockOctokit, 'owner', 'repo', {
+        branch: 'semver-release/main',
+        parentRef: 'abc1234',
+        message: 'chore(release): v1.1.0',
+        files: [],
+        force: true
+      });
+
+      expect(mockOctokit.rest.git.updateRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'heads/semver-release/main',
+        sha: 'def5678',
+        force: true
+      });
+      expect(mockOctokit.rest.git.createRef).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        ref: 'refs/heads/semver-release/main',
+        sha: 'def5678'
+      });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.git.getCommit.mockRejectedValue(new Error('Not Found'));
+
+      await expect(
+        commitFiles(mockOctokit, 'owner', 'repo', { branch: 'main', parentRef: 'abc', message: 'm', files: [] })
+      ).rejects.toThrow('Failed to commit files: Not Found');
+    });
+  });
+
+  describe('openPullRequest', () => {
+    const pullRequest = { head: 'semver-release/main', base: 'main', title: 'chore(release): v1.1.0', body: 'notes' };
+
+    it('should open a pull request when there is none yet', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [] });
+      mockOctokit.rest.pulls.create.mockResolvedValue({ data: { number: 7, html_url: 'https://github.com/pr/7' } });
+
+      const result = await openPullRequest(mockOctokit, 'owner', 'repo', pullRequest);
+
+      expect(mockOctokit.rest.pulls.list).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        head: 'owner:semver-release/main',
+        base: 'main',
+        state: 'open'
+      });
+      expect(mockOctokit.rest.pulls.create).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo', ...pullRequest });
+      expect(result).toEqual({ number: 7, url: 'https://github.com/pr/7' });
+    });
+
+    it('should update the open pull request', async () => {
+      mockOctokit.rest.pulls.list.mockResolvedValue({ data: [{ number: 5 }] });
+      mockOctokit.rest.pulls.update.mockResolvedValue({ data: { number: 5, html_url: 'https://github.com/pr/5' } });
+
+      const result = await openPullRequest(mockOctokit, 'owner', 'repo', pullRequest);
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        pull_number: 5,
+        title: 'chore(release): v1.1.0',
+        body: 'notes'
+      });
+      expect(mockOctokit.rest.pulls.create).not.toHaveBeenCalled();
+      expect(result).toEqual({ number: 5, url: 'https://github.com/pr/5' });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.pulls.list.mockRejectedValue(new Error('Forbidden'));
+
+      await expect(openPullRequest(mockOctokit, 'owner', 'repo', pullRequest)).rejects.toThrow(
+        'Failed to open pull request from semver-release/main: Forbidden'
+      );
+    });
+  });
+
+  describe('commentOnPullRequest', () => {
+    const comment = { marker: '<!-- preview -->', body: '<!-- preview -->\n\nv1.3.0' };
+
+    it('should create the comment when there is none yet', async () => {
+      mockOctokit.paginate.mockResolvedValue([{ id: 1, body: 'LGTM' }]);
+      mockOctokit.rest.issues.createComment.mockResolvedValue({ data: { id: 2, html_url: 'comment-url' } });
+
+      await expect(commentOnPullRequest(mockOctokit, 'owner', 'repo', 7, comment)).resolves.toEqual({
+        id: 2,
+        url: 'comment-url'
+      });
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listComments, {
+        owner: 'owner',
+        repo: 'repo',
+        issue_number: 7,
+        per_page: 100
+      });
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        issue_number: 7,
+        body: comment.body
+      });
+    });
+
+    it('should update the comment with the marker', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, body: 'LGTM' },
+        { id: 3, body: '<!-- preview -->\n\nv1.2.4' }
+      ]);
+      mockOctokit.rest.issues.updateComment.mockResolvedValue({ data: { id: 3, html_url: 'comment-url' } });
+
+      await commentOnPullRequest(mockOctokit, 'owner', 'repo', 7, comment);
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        comment_id: 3,
+        body: comment.body
+      });
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.paginate.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      await expect(commentOnPullRequest(mockOctokit, 'owner', 'repo', 7, comment)).rejects.toThrow(
+        'Failed to comment on pull request #7: Resource not accessible by integration'
+      );
+    });
+  });
+
+  describe('createRelease', () => {
+    it('should create the release through the REST API', async () => {
+      mockOctokit.request.mockResolvedValue({ data: { id: 7, html_url: 'https://github.com/o/r/releases/v1.0.0' } });
+
+      const result = await createRelease(mockOctokit, 'owner', 'repo', {
+        tagName: 'v1.0.0',
+        targetRef: 'abc1234',
+        name: 'v1.0.0',
+        body: '# Release 1.0.0',
+        draft: false,
+        prerelease: true
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledWith('POST /repos/{owner}/{repo}/releases', {
+        owner: 'owner',
+        repo: 'repo',
+        tag_name: 'v1.0.0',
+        target_commitish: 'abc1234',
+        name: 'v1.0.0',
+        body: '# Release 1.0.0',
+        draft: false,
+        prerelease: true,
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8'
+        }
+      });
+      expect(result).toEqual({ id: 7, url: 'https://github.com/o/r/releases/v1.0.0' });
+    });
+
+    it('should not mark releases of older lines as latest', async () => {
+      mockOctokit.request.mockResolvedValue({ data: { id: 8 } });
+
+      await createRelease(mockOctokit, 'owner', 'repo', {
+        tagName: 'v1.4.3',
+        targetRef: 'abc1234',
+        name: 'v1.4.3',
+        body: '# Release 1.4.3',
+        draft: false,
+        prerelease: false,
+        latest: false
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledWith(
+        'POST /repos/{owner}/{repo}/releases',
+        expect.objectContaining({ tag_name: 'v1.4.3', make_latest: 'false' })
+      );
+    });
+  });
+
+  describe('listDraftReleases', () => {
+    it('should return the draft releases', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, tag_name: 'v1.3.0', html_url: 'https://github.com/o/r/releases/tag/untagged-1', draft: true },
+        { id: 2, tag_name: 'v1.2.0', html_url: 'https://github.com/o/r/releases/tag/v1.2.0', draft: false }
+      ]);
+
+      await expect(listDraftReleases(mockOctokit, 'owner', 'repo')).resolves.toEqual([
+        { id: 1, tagName: 'v1.3.0', url: 'https://github.com/o/r/releases/tag/untagged-1' }
+      ]);
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listReleases, {
+        owner: 'owner',
+        repo: 'repo',
+        per_page: 100
+      });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.paginate.mockRejectedValue(new Error('Bad credentials'));
+
+      await expect(listDraftReleases(mockOctokit, 'owner', 'repo')).rejects.toThrow(
+        'Failed to list draft releases: Bad credentials'
+      );
+    });
+  });
+
+  describe('updateRelease', () => {
+    const release = {
+      tagName: 'v1.3.0',
+      targetRef: 'abc1234',
+      name: 'v1.3.0',
+      body: 'notes',
+      draft: false,
+      prerelease: false
+    };
+
+    it('should update the release in place', async () => {
+      mockOctokit.rest.repos.updateRelease.mockResolvedValue({
+        data: { id: 1, html_url: 'https://github.com/o/r/releases/tag/v1.3.0' }
+      });
+
+      const result = await updateRelease(mockOctokit, 'owner', 'repo', 1, release);
+
+      expect(mockOctokit.rest.repos.updateRelease).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        release_id: 1,
+        tag_name: 'v1.3.0',
+        target_commitish: 'abc1234',
+        name: 'v1.3.0',
+        body: 'notes',
+        draft: false,
+        prerelease: false
+      });
+      expect(result).toEqual({ id: 1, url: 'https://github.com/o/r/releases/tag/v1.3.0' });
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.rest.repos.updateRelease.mockRejectedValue(new Error('Validation Failed'));
+
+      await expect(updateRelease(mockOctokit, 'owner', 'repo', 1, release)).rejects.toThrow(
+        'Failed to update release v1.3.0: Validation Failed'
+      );
+    });
+  });
+
+  describe('uploadReleaseAsset', () => {
+    const asset = { name: 'app.zip', contentType: 'application/zip', data: Buffer.from('zip') };
+
+    it('should replace an asset of the same name', async () => {
+      mockOctokit.paginate.mockResolvedValue([
+        { id: 1, name: 'app.zip' },
+        { id: 2, name: 'SHA256SUMS' }
+      ]);
+      mockOctokit.rest.repos.uploadReleaseAsset.mockResolvedValue({
+        data: { browser_download_url: 'https://github.com/o/r/releases/download/v1.0.0/app.zip' }
+      });
+
+      const url = await uploadReleaseAsset(mockOctokit, 'owner', 'repo', 7, asset);
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listReleaseAssets, {
+        owner: 'owner',
+        repo: 'repo',
+        release_id: 7,
+        per_page: 100
+      });
+      expect(mockOctokit.rest.repos.deleteReleaseAsset).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.repos.deleteReleaseAsset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        asset_id: 1
+      });
+      expect(mockOctokit.rest.repos.uploadReleaseAsset).toHaveBeenCalledWith({
+        owner: 'owner',
+        repo: 'repo',
+        release_id: 7,
+        name: 'app.zip',
+        data: asset.data,
+        headers: { 'content-type': 'application/zip', 'content-length': 3 }
+      });
+      expect(url).toBe('https://github.com/o/r/releases/download/v1.0.0/app.zip');
+    });
+
+    it('should throw descriptive error when API call fails', async () => {
+      mockOctokit.paginate.mockRejectedValue(new Error('Not Found'));
+
+      await expect(uploadReleaseAsset(mockOctokit, 'owner', 'repo', 7, asset)).rejects.toThrow(
+        'Failed to upload release asset app.zip: Not Found'
+      );
+    });
+  });
+
+  describe('createGitHubBackend', () => {
+    it('should bind the octokit client and repository to each operation', async () => {
+      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: { tag_name: 'v2.0.0' } });
+      mockOctokit.paginate.mockResolvedValue([]);
+
+      const backend = createGitHubBackend(mockOctokit, 'owner', 'repo');
+
+      expect(backend.name).toBe('github');
+      await expect(backend.getLatestRelease('0.0.0', 'HEAD')).resolves.toEqual({
+        currentReleaseRef: 'v2.0.0',
+        currentReleaseTag: '2.0.0'
+      });
+      await expect(backend.getCommits('v2.0.0', 'HEAD')).resolves.toEqual([]);
+      expect(mockOctokit.rest.repos.getLatestRelease).toHaveBeenCalledWith({ owner: 'owner', repo: 'repo' });
+    });
+  });
+});
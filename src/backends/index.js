@@ -0,0 +1,43 @@
+import { createGitBackend } from './git.js';
+import { createGitHubBackend } from './github.js';
+
+// A backend reads previous releases and commits from somewhere and publishes new releases there:
+//   getLatestRelease(defaultVersion, headRef, { tagFormat, range, strategy }) -> { currentReleaseRef, currentReleaseTag }
+//                                             of the previous release tagged like tagFormat, e.g. "v{version}", picked
+//                                             by one of the PREVIOUS_RELEASE_STRATEGIES among versions in the optional
+//                                             semver range, e.g. "1.x" on a maintenance branch
+//   getCommits(baseRef, headRef)              -> [{ sha, message, author, email, login, date }], newest first
+//   getCommitFiles(sha)                       -> [path], relative to the repository root
+//   getPullRequests(sha)                      -> [{ number, branch, author, labels }] of merged pull requests with sha
+//   getPullRequest(number)                    -> { number, branch, author, labels } of a merged pull request, or null
+//   hasCommitsBefore(author, ref)             -> whether author (login or email) has commits reachable from ref
+//   listTags()                                -> [tagName]
+//   getBranchHead(branch)                     -> sha the branch currently points at
+//   commitFiles({ branch, parentRef, message, files: [{ path, content }], force }) -> sha of the new branch head
+//   openPullRequest({ head, base, title, body }) -> { number, url }, updating an open one from head (GitHub only)
+//   commentOnPullRequest(number, { marker, body }) -> { id, url }, updating the comment that contains marker (GitHub only)
+//   createRelease({ tagName, targetRef, name, body, draft, prerelease, latest }) -> { id, url } of the new release, empty
+//                                             for plain git tags, latest: false keeps GitHub's latest release where it is
+//   listDraftReleases()                       -> [{ id, tagName, url }] of unpublished draft releases
+//   updateRelease(releaseId, release)         -> { id, url }, taking the same release fields as createRelease (GitHub only)
+//   uploadReleaseAsset(releaseId, { name, contentType, data }) -> download url, replacing an asset of the same name
+//                                             (GitHub only)
+// latest-release:  the release GitHub marks as latest
+// highest-tag:     the highest stable version tag that head contains, ignoring newer lines head is not based on
+// highest-release: the highest published release, including pre-releases
+const PREVIOUS_RELEASE_STRATEGIES = ['latest-release', 'highest-tag', 'highest-release'];
+
+function createBackend(type, options) {
+  switch (type) {
+    case 'github':
+      return createGitHubBackend(options.octokit, options.owner, options.repo);
+
+    case 'git':
+      return createGitBackend(options.cwd);
+
+    default:
+      throw new Error(`Unknown backend "${type}", expected one of: github, git`);
+  }
+}
+
+export { PREVIOUS_RELEASE_STRATEGIES, createBackend };
@@ -0,0 +1,25 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  debug: jest.fn(),
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const { createBackend } = await import('./index.js');
+
+describe('createBackend', () => {
+  it('should create the GitHub backend', () => {
+    const backend = createBackend('github', { octokit: {}, owner: 'owner', repo: 'repo' });
+    expect(backend.name).toBe('github');
+  });
+
+  it('should create the git backend', () => {
+    const backend = createBackend('git', { cwd: '/repo' });
+    expect(backend.name).toBe('git');
+  });
+
+  it('should reject unknown backends', () => {
+    expect(() => createBackend('gitlab', {})).toThrow('Unknown backend "gitlab", expected one of: github, git');
+  });
+});
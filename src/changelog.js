@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { escapeRegExp } from './regex.js';
+
+const CHANGELOG_HEADER = '# Changelog\n\nAll notable changes to this project will be documented in this file.\n';
+
+function formatChangelogEntry({ version, tag, previousTag, date, releaseNotes, repositoryUrl }) {
+  const title =
+    previousTag && repositoryUrl ? `[${version}](${repositoryUrl}/compare/${previousTag}...${tag})` : version;
+  const heading = date ? `## ${title} - ${date}` : `## ${title}`;
+
+  // Drop the release notes' own title and nest their sections below the version heading
+  const body = releaseNotes
+    .replace(/^# .*\n+/, '')
+    .replace(/^## /gm, '### ')
+    .trim();
+
+  return `${heading}\n\n${body}\n`;
+}
+
+function findEntry(changelog, version) {
+  const headingRegex = new RegExp(`^## \\[?${escapeRegExp(version)}\\]?(?=[\\s(]|$)`, 'm');
+  const match = headingRegex.exec(changelog);
+  if (!match) {
+    return null;
+  }
+
+  const nextHeading = changelog.substring(match.index + match[0].length).search(/^## /m);
+  const end = nextHeading === -1 ? changelog.length : match.index + match[0].length + nextHeading;
+  return { start: match.index, end };
+}
+
+function insertChangelogEntry(changelog, version, entry) {
+  if (!changelog.trim()) {
+    return `${CHANGELOG_HEADER}\n${entry}`;
+  }
+
+  // Re-running for a version that is already in the changelog replaces its entry instead of duplicating it
+  const existing = findEntry(changelog, version);
+  if (existing) {
+    const rest = changelog.substring(existing.end);
+    return changelog.substring(0, existing.start) + entry + (rest ? `\n${rest}` : '');
+  }
+
+  // New entries go on top, right below whatever preamble the file starts with
+  const firstEntry = changelog.search(/^## /m);
+  if (firstEntry === -1) {
+    return `${changelog.trimEnd()}\n\n${entry}`;
+  }
+  return `${changelog.substring(0, firstEntry)}${entry}\n${changelog.substring(firstEntry)}`;
+}
+
+function renderChangelog(entries) {
+  return `${CHANGELOG_HEADER}\n${entries.join('\n')}`;
+}
+
+function writeChangelog(workspace, changelogPath, content) {
+  const filePath = path.resolve(workspace, changelogPath);
+  const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  if (existing === content) {
+    return null;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return { path: changelogPath, content };
+}
+
+function updateChangelog(workspace, changelogPath, version, entry) {
+  const filePath = path.resolve(workspace, changelogPath);
+  const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  return writeChangelog(workspace, changelogPath, insertChangelogEntry(existing, version, entry));
+}
+
+export {
+  CHANGELOG_HEADER,
+  formatChangelogEntry,
+  insertChangelogEntry,
+  renderChangelog,
+  writeChangelog,
+  updateChangelog
+};
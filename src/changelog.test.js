@@ -0,0 +1,109 @@
+import fs from 'fs';
+import mock from 'mock-fs';
+
+const { CHANGELOG_HEADER, formatChangelogEntry, insertChangelogEntry, renderChangelog, updateChangelog } =
+  await import('./changelog.js');
+
+const releaseNotes = '# Release 1.1.0\n\n## ✨ New Features\n\n- add thing (abc1234)\n\n';
+
+describe('Changelog', () => {
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('formatChangelogEntry', () => {
+    it('should link the version to the comparison with the previous tag', () => {
+      const entry = formatChangelogEntry({
+        version: '1.1.0',
+        tag: 'v1.1.0',
+        previousTag: 'v1.0.0',
+        date: '2024-03-01',
+        releaseNotes,
+        repositoryUrl: 'https://github.com/owner/repo'
+      });
+
+      expect(entry).toBe(
+        '## [1.1.0](https://github.com/owner/repo/compare/v1.0.0...v1.1.0) - 2024-03-01\n\n' +
+          '### ✨ New Features\n\n- add thing (abc1234)\n'
+      );
+    });
+
+    it('should not link the first release', () => {
+      const entry = formatChangelogEntry({
+        version: '1.1.0',
+        tag: 'v1.1.0',
+        previousTag: null,
+        date: '2024-03-01',
+        releaseNotes,
+        repositoryUrl: 'https://github.com/owner/repo'
+      });
+
+      expect(entry).toMatch(/^## 1\.1\.0 - 2024-03-01\n/);
+    });
+  });
+
+  describe('insertChangelogEntry', () => {
+    const entry = '## 1.1.0 - 2024-03-01\n\n- new\n';
+
+    it('should create the changelog with a header', () => {
+      expect(insertChangelogEntry('', '1.1.0', entry)).toBe(`${CHANGELOG_HEADER}\n${entry}`);
+    });
+
+    it('should insert new entries on top, below the preamble', () => {
+      const changelog = '# Changelog\n\nSome intro.\n\n## [1.0.0](link) - 2024-01-01\n\n- old\n';
+
+      expect(insertChangelogEntry(changelog, '1.1.0', entry)).toBe(
+        '# Changelog\n\nSome intro.\n\n## 1.1.0 - 2024-03-01\n\n- new\n\n## [1.0.0](link) - 2024-01-01\n\n- old\n'
+      );
+    });
+
+    it('should append to a changelog without entries', () => {
+      expect(insertChangelogEntry('# Changelog\n', '1.1.0', entry)).toBe(`# Changelog\n\n${entry}`);
+    });
+
+    it('should replace the entry of a version that is already there', () => {
+      const changelog = '# Changelog\n\n## [1.1.0](link) - 2024-02-01\n\n- stale\n\n## 1.0.0\n\n- old\n';
+
+      expect(insertChangelogEntry(changelog, '1.1.0', entry)).toBe(
+        '# Changelog\n\n## 1.1.0 - 2024-03-01\n\n- new\n\n## 1.0.0\n\n- old\n'
+      );
+    });
+
+    it('should be idempotent', () => {
+      const once = insertChangelogEntry('# Changelog\n\n## 1.0.0\n\n- old\n', '1.1.0', entry);
+
+      expect(insertChangelogEntry(once, '1.1.0', entry)).toBe(once);
+    });
+
+    it('should not mistake a longer version for the same one', () => {
+      const changelog = '# Changelog\n\n## 1.1.0-rc.0\n\n- rc\n';
+
+      expect(insertChangelogEntry(changelog, '1.1.0', entry)).toContain('## 1.1.0-rc.0');
+    });
+  });
+
+  describe('renderChangelog', () => {
+    it('should join the entries below the header', () => {
+      expect(renderChangelog(['## 1.1.0\n\n- new\n', '## 1.0.0\n\n- old\n'])).toBe(
+        `${CHANGELOG_HEADER}\n## 1.1.0\n\n- new\n\n## 1.0.0\n\n- old\n`
+      );
+    });
+  });
+
+  describe('updateChangelog', () => {
+    it('should create missing changelog files and directories', () => {
+      mock({ '/repo': {} });
+
+      const result = updateChangelog('/repo', 'packages/api/CHANGELOG.md', '1.1.0', '## 1.1.0\n\n- new\n');
+
+      expect(result.path).toBe('packages/api/CHANGELOG.md');
+      expect(fs.readFileSync('/repo/packages/api/CHANGELOG.md', 'utf8')).toBe(result.content);
+    });
+
+    it('should return null when nothing changed', () => {
+      mock({ '/repo/CHANGELOG.md': `${CHANGELOG_HEADER}\n## 1.1.0\n\n- new\n` });
+
+      expect(updateChangelog('/repo', 'CHANGELOG.md', '1.1.0', '## 1.1.0\n\n- new\n')).toBeNull();
+    });
+  });
+});
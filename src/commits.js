@@ -0,0 +1,175 @@
+// Conventional Commits 1.0 parser, see https://www.conventionalcommits.org/en/v1.0.0/#specification
+
+// <type>[(scope)][!]: <description>
+const HEADER_REGEX = /^([\w-]+)(?:\(([^()\r\n]*)\))?(!)?: (.+)$/;
+
+// <token>: <value> or <token> #<value>, where tokens use "-" instead of whitespace except for BREAKING CHANGE
+const FOOTER_REGEX = /^(BREAKING CHANGE|[\w-]+)(?:: | #)(.*)$/;
+
+// Git's default revert message, e.g. Revert "feat: add thing"
+const GIT_REVERT_REGEX = /^Revert "(.+)"$/;
+const REVERTED_SHA_REGEX = /This reverts commit ([0-9a-f]{7,40})/g;
+
+// Squash merges on GitHub append the pull request number, e.g. "feat: add thing (#123)"
+const PULL_REQUEST_REGEX = /\s*\(#(\d+)\)$/;
+
+// GitHub's closing keywords, e.g. "Closes #12" or "fixes: #12"
+const CLOSED_ISSUE_REGEX = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):? #(\d+)\b/gi;
+
+function isBreakingToken(token) {
+  return token === 'BREAKING CHANGE' || token === 'BREAKING-CHANGE';
+}
+
+function parseFooters(lines) {
+  const footers = [];
+  for (const line of lines) {
+    const match = line.match(FOOTER_REGEX);
+    if (match) {
+      const separator = line.charAt(match[1].length) === ':' ? ': ' : ' #';
+      footers.push({ token: match[1], value: separator === ' #' ? `#${match[2]}` : match[2] });
+    } else {
+      // Footer values may span several lines until the next token
+      footers[footers.length - 1].value += `\n${line}`;
+    }
+  }
+
+  return footers.map((footer) => ({ token: footer.token, value: footer.value.trim() }));
+}
+
+function splitBodyAndFooters(lines) {
+  // The footer block starts at the first footer token that follows a blank line
+  const footerStart = lines.findIndex(
+    (line, index) => (index === 0 || lines[index - 1].trim() === '') && FOOTER_REGEX.test(line)
+  );
+  if (footerStart === -1) {
+    return { body: lines.join('\n').trim(), footers: [] };
+  }
+
+  return {
+    body: lines.slice(0, footerStart).join('\n').trim(),
+    footers: parseFooters(lines.slice(footerStart))
+  };
+}
+
+function parseRevert(type, description, message, footers) {
+  const gitRevert = description.match(GIT_REVERT_REGEX);
+  if (type !== 'revert' && !gitRevert) {
+    return null;
+  }
+
+  const shas = [...message.matchAll(REVERTED_SHA_REGEX)].map((match) => match[1]);
+
+  // The spec suggests referencing the reverted commits in a Refs footer instead
+  footers
+    .filter((footer) => footer.token.toLowerCase() === 'refs')
+    .forEach((footer) => {
+      footer.value
+        .split(/[\s,]+/)
+        .filter((ref) => /^[0-9a-f]{7,40}$/.test(ref))
+        .forEach((ref) => shas.push(ref));
+    });
+
+  return {
+    header: gitRevert ? gitRevert[1] : description,
+    shas
+  };
+}
+
+function parseCommit(commit) {
+  const message = commit.message;
+  const shortSha = commit.sha.substring(0, 7);
+
+  // Parse conventional commit format: <header>\n\n[optional body]\n\n[optional footers]
+  const lines = message.split('\n');
+  const firstLine = lines[0];
+  const { body, footers } = splitBodyAndFooters(lines.slice(1));
+
+  const match = firstLine.match(HEADER_REGEX);
+
+  let type, scope, isBreaking, description;
+
+  if (match) {
+    type = match[1].toLowerCase(); // types are case insensitive
+    scope = (match[2] || '').trim();
+    description = match[4].trim();
+    isBreaking = !!match[3];
+  } else {
+    type = 'other';
+    scope = '';
+    isBreaking = false;
+    description = firstLine;
+  }
+
+  // BREAKING CHANGE is only meaningful as a footer token, never in prose
+  if (footers.some((footer) => isBreakingToken(footer.token))) {
+    isBreaking = true;
+  }
+
+  // The suffix goes first, as GitHub's revert button squash merges into Revert "feat: add thing (#12)" (#15)
+  const pullRequest = description.match(PULL_REQUEST_REGEX);
+  if (pullRequest) {
+    description = description.substring(0, pullRequest.index);
+  }
+
+  const revert = parseRevert(type, description, message, footers);
+  if (revert && type === 'other') {
+    type = 'revert';
+    description = revert.header;
+  }
+  const releaseAs = footers.find((footer) => footer.token.toLowerCase() === 'release-as');
+  const issues = [...new Set([...message.matchAll(CLOSED_ISSUE_REGEX)].map((issue) => Number(issue[1])))];
+
+  return {
+    sha: shortSha,
+    fullSha: commit.sha,
+    type: type,
+    scope: scope,
+    description: description,
+    body: body,
+    footers: footers,
+    isBreaking: isBreaking,
+    revert: revert,
+    pullRequest: pullRequest ? Number(pullRequest[1]) : null,
+    issues: issues,
+    releaseAs: releaseAs ? releaseAs.value : null,
+    fullMessage: message,
+    author: commit.author,
+    email: commit.email || null,
+    login: commit.login || null,
+    date: commit.date
+  };
+}
+
+function isRevertOf(revertCommit, commit) {
+  const { header, shas } = revertCommit.revert;
+  const commitSha = commit.fullSha || commit.sha;
+  if (shas.length > 0) {
+    return shas.some((sha) => commitSha.startsWith(sha));
+  }
+
+  // Without a SHA to go by, fall back to the reverted header
+  return commit.fullMessage !== undefined && commit.fullMessage.split('\n')[0] === header;
+}
+
+function dropRevertedCommits(parsedCommits) {
+  const cancelled = new Set();
+
+  // Commits are newest first, so a revert of a revert cancels out before the original revert is looked at
+  for (const commit of parsedCommits) {
+    if (!commit.revert || cancelled.has(commit)) {
+      continue;
+    }
+
+    const reverted = parsedCommits.filter(
+      (candidate) => candidate !== commit && !cancelled.has(candidate) && isRevertOf(commit, candidate)
+    );
+    if (reverted.length > 0) {
+      cancelled.add(commit);
+      reverted.forEach((candidate) => cancelled.add(candidate));
+    }
+  }
+
+  return parsedCommits.filter((commit) => !cancelled.has(commit));
+}
+
+export { parseCommit, parseFooters, isBreakingToken, dropRevertedCommits };
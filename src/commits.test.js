@@ -0,0 +1,208 @@
+const { parseCommit, parseFooters, isBreakingToken, dropRevertedCommits } = await import('./commits.js');
+
+function commit(message, sha = '1234567890abcdef1234567890abcdef12345678') {
+  return { sha, message, author: 'Jane Smith' };
+}
+
+describe('Conventional Commits parser', () => {
+  describe('parseCommit', () => {
+    it('should parse header, body and footers', () => {
+      const result = parseCommit(
+        commit(
+          'feat(parser): add footer support\n\nFooters are now parsed.\n\nRefs: #42\nCloses #12\nCo-authored-by: John Doe <john@example.com>'
+        )
+      );
+
+      expect(result).toMatchObject({
+        sha: '1234567',
+        type: 'feat',
+        scope: 'parser',
+        description: 'add footer support',
+        body: 'Footers are now parsed.',
+        footers: [
+          { token: 'Refs', value: '#42' },
+          { token: 'Closes', value: '#12' },
+          { token: 'Co-authored-by', value: 'John Doe <john@example.com>' }
+        ],
+        isBreaking: false,
+        revert: null,
+        author: 'Jane Smith'
+      });
+    });
+
+    it('should honour "!" on any type', () => {
+      expect(parseCommit(commit('docs!: drop the v1 guide')).isBreaking).toBe(true);
+      expect(parseCommit(commit('build(deps)!: require node 24')).isBreaking).toBe(true);
+    });
+
+    it('should detect both breaking change footer tokens', () => {
+      expect(parseCommit(commit('fix: a\n\nBREAKING CHANGE: the API changed')).isBreaking).toBe(true);
+      expect(parseCommit(commit('fix: a\n\nBREAKING-CHANGE: the API changed')).isBreaking).toBe(true);
+    });
+
+    it('should not treat "BREAKING CHANGE" in prose as breaking', () => {
+      const result = parseCommit(
+        commit('docs: explain versioning\n\nA commit with a BREAKING CHANGE footer bumps the major version.')
+      );
+
+      expect(result.isBreaking).toBe(false);
+      expect(result.footers).toEqual([]);
+    });
+
+    it('should keep multi-line footer values together', () => {
+      const result = parseCommit(
+        commit(
+          'feat: new config\n\nBREAKING CHANGE: config moved to a file\n\nRun the migration script first.\nRefs: #7'
+        )
+      );
+
+      expect(result.footers).toEqual([
+        { token: 'BREAKING CHANGE', value: 'config moved to a file\n\nRun the migration script first.' },
+        { token: 'Refs', value: '#7' }
+      ]);
+    });
+
+    it('should treat types as case insensitive', () => {
+      expect(parseCommit(commit('Feat: shout')).type).toBe('feat');
+    });
+
+    it('should accept any noun as type', () => {
+      const result = parseCommit(commit('security(auth): rotate keys'));
+      expect(result).toMatchObject({ type: 'security', scope: 'auth', description: 'rotate keys' });
+    });
+
+    it('should require a space after the colon', () => {
+      expect(parseCommit(commit('fix:no space')).type).toBe('other');
+      expect(parseCommit(commit('fix : space before colon')).type).toBe('other');
+    });
+
+    it('should pick up the pull request number added by squash merges', () => {
+      expect(parseCommit(commit('fix: handle empty input (#123)'))).toMatchObject({
+        description: 'handle empty input',
+        pullRequest: 123
+      });
+      expect(parseCommit(commit('fix: see (#123) for details')).pullRequest).toBeNull();
+    });
+
+    it('should collect issues closed with GitHub keywords', () => {
+      const result = parseCommit(
+        commit('fix: crash on start\n\nThis fixes #3 and resolves #4.\n\nCloses #12\nRefs: #7')
+      );
+      expect(result.issues).toEqual([3, 4, 12]);
+      expect(parseCommit(commit('fix: prefix#3')).issues).toEqual([]);
+    });
+
+    it('should read the Release-As footer', () => {
+      expect(parseCommit(commit('chore: graduate\n\nRelease-As: 1.0.0')).releaseAs).toBe('1.0.0');
+      expect(parseCommit(commit('chore: graduate\n\nrelease-as: 1.0.0')).releaseAs).toBe('1.0.0');
+      expect(parseCommit(commit('fix: a')).releaseAs).toBeNull();
+    });
+
+    it('should detect conventional reverts with a Refs footer', () => {
+      const result = parseCommit(
+        commit('revert: let us never again speak of the noodle incident\n\nRefs: 676104e, a215868')
+      );
+
+      expect(result).toMatchObject({
+        type: 'revert',
+        description: 'let us never again speak of the noodle incident',
+        revert: {
+          header: 'let us never again speak of the noodle incident',
+          shas: ['676104e', 'a215868']
+        }
+      });
+    });
+
+    it('should detect git style reverts', () => {
+      const result = parseCommit(
+        commit('Revert "feat(auth): add OAuth"\n\nThis reverts commit abcdef1234567890abcdef1234567890abcdef12.')
+      );
+
+      expect(result).toMatchObject({
+        type: 'revert',
+        scope: '',
+        description: 'feat(auth): add OAuth',
+        isBreaking: false,
+        revert: {
+          header: 'feat(auth): add OAuth',
+          shas: ['abcdef1234567890abcdef1234567890abcdef12']
+        }
+      });
+    });
+
+    it('should detect reverts squash merged through the revert button of GitHub', () => {
+      const result = parseCommit(commit('Revert "feat: add thing (#12)" (#15)\n\nReverts owner/repo#12'));
+
+      expect(result).toMatchObject({
+        type: 'revert',
+        description: 'feat: add thing (#12)',
+        pullRequest: 15,
+        revert: { header: 'feat: add thing (#12)', shas: [] }
+      });
+    });
+  });
+
+  describe('parseFooters', () => {
+    it('should keep the "#" of issue references', () => {
+      expect(parseFooters(['Fixes #3'])).toEqual([{ token: 'Fixes', value: '#3' }]);
+    });
+  });
+
+  describe('isBreakingToken', () => {
+    it('should only accept the uppercase breaking change tokens', () => {
+      expect(isBreakingToken('BREAKING CHANGE')).toBe(true);
+      expect(isBreakingToken('BREAKING-CHANGE')).toBe(true);
+      expect(isBreakingToken('breaking change')).toBe(false);
+    });
+  });
+
+  describe('dropRevertedCommits', () => {
+    const feat = parseCommit(commit('feat(auth): add OAuth', 'aaaaaaa1111111111111111111111111111111111'));
+    const fix = parseCommit(commit('fix: handle timeouts', 'bbbbbbb2222222222222222222222222222222222'));
+
+    it('should cancel a commit and its revert in the same range', () => {
+      const revert = parseCommit(
+        commit('Revert "feat(auth): add OAuth"\n\nThis reverts commit aaaaaaa1111111111111111111111111111111111.', 'c')
+      );
+
+      expect(dropRevertedCommits([revert, fix, feat])).toEqual([fix]);
+    });
+
+    it('should match abbreviated SHAs from a Refs footer', () => {
+      const revert = parseCommit(commit('revert: add OAuth\n\nRefs: aaaaaaa', 'c'));
+
+      expect(dropRevertedCommits([revert, feat])).toEqual([]);
+    });
+
+    it('should fall back to the reverted header when there is no SHA', () => {
+      const revert = parseCommit(commit('Revert "feat(auth): add OAuth"', 'c'));
+
+      expect(dropRevertedCommits([revert, feat])).toEqual([]);
+    });
+
+    it('should keep reverts of commits from earlier releases', () => {
+      const revert = parseCommit(
+        commit('Revert "feat: old feature"\n\nThis reverts commit 9999999999999999999999999999999999999999.', 'c')
+      );
+
+      expect(dropRevertedCommits([revert, fix])).toEqual([revert, fix]);
+    });
+
+    it('should restore the original commit when a revert is reverted', () => {
+      const revert = parseCommit(
+        commit(
+          'Revert "feat(auth): add OAuth"\n\nThis reverts commit aaaaaaa1111111111111111111111111111111111.',
+          'ddddddd4444444444444444444444444444444444'
+        )
+      );
+      const reapply = parseCommit(
+        commit(
+          'Revert "Revert "feat(auth): add OAuth""\n\nThis reverts commit ddddddd4444444444444444444444444444444444.',
+          'e'
+        )
+      );
+
+      expect(dropRevertedCommits([reapply, revert, feat])).toEqual([feat]);
+    });
+  });
+});
@@ -0,0 +1,318 @@
+import fs from 'fs';
+import YAML from 'yaml';
+
+const BUMP_LEVELS = ['major', 'minor', 'patch', 'none'];
+const GROUP_BY_MODES = ['type', 'type-scope', 'scope-type'];
+const SUBJECT_CASES = ['any', 'lower', 'upper'];
+const PULL_REQUEST_LINT_TARGETS = ['commits', 'title', 'both'];
+
+const DEFAULT_CONFIG = {
+  breakingSection: '💥 Breaking Changes',
+  otherSection: '🔧 Other Changes',
+  highlightsSection: '🌟 Highlights',
+  groupBy: 'type',
+  initialDevelopment: false,
+  types: [
+    { type: 'feat', section: '✨ New Features', bump: 'minor', hidden: false },
+    { type: 'fix', section: '🐛 Bug Fixes', bump: 'patch', hidden: false },
+    { type: 'perf', section: '⚡ Performance Improvements', bump: 'none', hidden: false },
+    { type: 'docs', section: '📚 Documentation', bump: 'none', hidden: false },
+    { type: 'build', section: '📦 Build System', bump: 'none', hidden: false },
+    { type: 'ci', section: '👷 CI/CD', bump: 'none', hidden: false },
+    { type: 'test', section: '🧪 Tests', bump: 'none', hidden: false },
+    { type: 'refactor', section: '♻️ Code Refactoring', bump: 'none', hidden: false },
+    { type: 'style', section: '💄 Code Style', bump: 'none', hidden: false },
+    { type: 'chore', section: '🧹 Chores', bump: 'none', hidden: false },
+    // Only reverts of previously released changes survive until the bump is calculated
+    { type: 'revert', section: '⏪ Reverts', bump: 'patch', hidden: false }
+  ],
+  // An empty types list allows the types above
+  lint: { types: [], scopes: [], maxSubjectLength: 100, subjectCase: 'any', pullRequest: 'commits' },
+  packages: [],
+  versionFiles: [],
+  changelog: ''
+};
+
+function assertKnownKeys(object, allowedKeys, location) {
+  for (const key of Object.keys(object)) {
+    if (!allowedKeys.includes(key)) {
+      throw new Error(`${location} has unknown key "${key}", expected one of: ${allowedKeys.join(', ')}`);
+    }
+  }
+}
+
+function assertString(value, location) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new Error(`${location} must be a non-empty string`);
+  }
+}
+
+function validateType(entry, index) {
+  const location = `types[${index}]`;
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${location} must be a mapping`);
+  }
+  assertKnownKeys(entry, ['type', 'section', 'bump', 'hidden'], location);
+
+  assertString(entry.type, `${location}.type`);
+  if (!/^[\w-]+$/.test(entry.type)) {
+    throw new Error(`${location}.type "${entry.type}" may only contain letters, digits, "_" and "-"`);
+  }
+
+  const bump = entry.bump === undefined ? 'none' : entry.bump;
+  if (!BUMP_LEVELS.includes(bump)) {
+    throw new Error(`${location}.bump must be one of: ${BUMP_LEVELS.join(', ')}`);
+  }
+
+  const hidden = entry.hidden === undefined ? false : entry.hidden;
+  if (typeof hidden !== 'boolean') {
+    throw new Error(`${location}.hidden must be true or false`);
+  }
+
+  const section = entry.section === undefined ? entry.type : entry.section;
+  assertString(section, `${location}.section`);
+
+  return { type: entry.type.toLowerCase(), section, bump, hidden };
+}
+
+const VERSION_FILE_MODES = ['json-path', 'yaml-key', 'toml-key', 'regex'];
+
+function validateVersionFile(entry, location) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${location} must be a mapping`);
+  }
+  assertKnownKeys(entry, ['path', ...VERSION_FILE_MODES], location);
+  assertString(entry.path, `${location}.path`);
+
+  const modes = VERSION_FILE_MODES.filter((mode) => entry[mode] !== undefined);
+  if (modes.length !== 1) {
+    throw new Error(`${location} must set exactly one of: ${VERSION_FILE_MODES.join(', ')}`);
+  }
+  assertString(entry[modes[0]], `${location}.${modes[0]}`);
+
+  if (entry.regex !== undefined) {
+    let groups;
+    try {
+      groups = new RegExp(`${entry.regex}|`).exec('').length - 1;
+    } catch (error) {
+      throw new Error(`${location}.regex is not a valid regular expression: ${error.message}`);
+    }
+    if (groups < 1) {
+      throw new Error(`${location}.regex needs a capture group around the version`);
+    }
+  }
+
+  return {
+    path: entry.path,
+    jsonPath: entry['json-path'],
+    yamlKey: entry['yaml-key'],
+    tomlKey: entry['toml-key'],
+    regex: entry.regex
+  };
+}
+
+function validateVersionFiles(entries, location) {
+  if (!Array.isArray(entries)) {
+    throw new Error(`${location} must be a list`);
+  }
+  return entries.map((entry, index) => validateVersionFile(entry, `${location}[${index}]`));
+}
+
+function validatePackage(entry, index) {
+  const location = `packages[${index}]`;
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error(`${location} must be a mapping`);
+  }
+  assertKnownKeys(entry, ['name', 'path', 'tag-prefix', 'version-files', 'changelog'], location);
+
+  assertString(entry.name, `${location}.name`);
+  assertString(entry.path, `${location}.path`);
+
+  const tagPrefix = entry['tag-prefix'] === undefined ? `${entry.name}-v` : entry['tag-prefix'];
+  if (typeof tagPrefix !== 'string') {
+    throw new Error(`${location}.tag-prefix must be a string`);
+  }
+
+  // Paths are matched against repository-relative file names, so "./packages/api/" becomes "packages/api"
+  const path = entry.path.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+  const versionFiles =
+    entry['version-files'] === undefined
+      ? []
+      : validateVersionFiles(entry['version-files'], `${location}.version-files`);
+  if (entry.changelog !== undefined) {
+    assertString(entry.changelog, `${location}.changelog`);
+  }
+  return {
+    name: entry.name,
+    path: path === '' ? '.' : path,
+    tagPrefix,
+    versionFiles,
+    changelog: entry.changelog || ''
+  };
+}
+
+function assertStringList(value, location) {
+  if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || item.trim() === '')) {
+    throw new Error(`${location} must be a list of non-empty strings`);
+  }
+  return value;
+}
+
+function validateLint(entry) {
+  if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('lint must be a mapping');
+  }
+  assertKnownKeys(entry, ['types', 'scopes', 'max-subject-length', 'subject-case', 'pull-request'], 'lint');
+
+  const lint = { ...DEFAULT_CONFIG.lint };
+  if (entry.types !== undefined) {
+    lint.types = assertStringList(entry.types, 'lint.types');
+  }
+  if (entry.scopes !== undefined) {
+    lint.scopes = assertStringList(entry.scopes, 'lint.scopes');
+  }
+  if (entry['max-subject-length'] !== undefined) {
+    if (!Number.isInteger(entry['max-subject-length']) || entry['max-subject-length'] < 0) {
+      throw new Error('lint.max-subject-length must be a whole number, 0 for no limit');
+    }
+    lint.maxSubjectLength = entry['max-subject-length'];
+  }
+  if (entry['subject-case'] !== undefined) {
+    if (!SUBJECT_CASES.includes(entry['subject-case'])) {
+      throw new Error(`lint.subject-case must be one of: ${SUBJECT_CASES.join(', ')}`);
+    }
+    lint.subjectCase = entry['subject-case'];
+  }
+  if (entry['pull-request'] !== undefined) {
+    if (!PULL_REQUEST_LINT_TARGETS.includes(entry['pull-request'])) {
+      throw new Error(`lint.pull-request must be one of: ${PULL_REQUEST_LINT_TARGETS.join(', ')}`);
+    }
+    lint.pullRequest = entry['pull-request'];
+  }
+  return lint;
+}
+
+function assertUnique(values, location) {
+  const seen = new Set();
+  for (const value of values) {
+    if (seen.has(value)) {
+      throw new Error(`${location} has a duplicate entry for "${value}"`);
+    }
+    seen.add(value);
+  }
+}
+
+function validateConfig(rawConfig) {
+  if (rawConfig === null || rawConfig === undefined) {
+    return DEFAULT_CONFIG;
+  }
+  if (typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+    throw new Error('the top level must be a mapping');
+  }
+  assertKnownKeys(
+    rawConfig,
+    [
+      'breaking-section',
+      'other-section',
+      'types',
+      'highlights-section',
+      'group-by',
+      'initial-development',
+      'lint',
+      'packages',
+      'version-files',
+      'changelog'
+    ],
+    'the top level'
+  );
+
+  const config = { ...DEFAULT_CONFIG };
+  if (rawConfig['breaking-section'] !== undefined) {
+    assertString(rawConfig['breaking-section'], 'breaking-section');
+    config.breakingSection = rawConfig['breaking-section'];
+  }
+  if (rawConfig['other-section'] !== undefined) {
+    assertString(rawConfig['other-section'], 'other-section');
+    config.otherSection = rawConfig['other-section'];
+  }
+  if (rawConfig['highlights-section'] !== undefined) {
+    assertString(rawConfig['highlights-section'], 'highlights-section');
+    config.highlightsSection = rawConfig['highlights-section'];
+  }
+  if (rawConfig['group-by'] !== undefined) {
+    if (!GROUP_BY_MODES.includes(rawConfig['group-by'])) {
+      throw new Error(`group-by must be one of: ${GROUP_BY_MODES.join(', ')}`);
+    }
+    config.groupBy = rawConfig['group-by'];
+  }
+  if (rawConfig['initial-development'] !== undefined) {
+    if (typeof rawConfig['initial-development'] !== 'boolean') {
+      throw new Error('initial-development must be true or false');
+    }
+    config.initialDevelopment = rawConfig['initial-development'];
+  }
+
+  if (rawConfig.lint !== undefined) {
+    config.lint = validateLint(rawConfig.lint);
+  }
+
+  // Types replace the defaults as a whole so that their order is the order of the sections
+  if (rawConfig.types !== undefined) {
+    if (!Array.isArray(rawConfig.types)) {
+      throw new Error('types must be a list');
+    }
+    config.types = rawConfig.types.map(validateType);
+    assertUnique(
+      config.types.map(({ type }) => type),
+      'types'
+    );
+  }
+
+  if (rawConfig.changelog !== undefined) {
+    assertString(rawConfig.changelog, 'changelog');
+    config.changelog = rawConfig.changelog;
+  }
+
+  if (rawConfig['version-files'] !== undefined) {
+    config.versionFiles = validateVersionFiles(rawConfig['version-files'], 'version-files');
+  }
+
+  // Declaring packages switches the action into monorepo mode
+  if (rawConfig.packages !== undefined) {
+    if (!Array.isArray(rawConfig.packages)) {
+      throw new Error('packages must be a list');
+    }
+    config.packages = rawConfig.packages.map(validatePackage);
+    assertUnique(
+      config.packages.map(({ name }) => name),
+      'packages'
+    );
+    assertUnique(
+      config.packages.map(({ tagPrefix }) => tagPrefix),
+      'packages tag-prefix'
+    );
+  }
+
+  return config;
+}
+
+function loadConfig(configPath, required = false) {
+  if (!fs.existsSync(configPath)) {
+    if (required) {
+      throw new Error(`Config file ${configPath} does not exist`);
+    }
+    return DEFAULT_CONFIG;
+  }
+
+  try {
+    return validateConfig(YAML.parse(fs.readFileSync(configPath, 'utf8')));
+  } catch (error) {
+    throw new Error(`Invalid config file ${configPath}: ${error.message}`);
+  }
+}
+
+function getTypeRule(config, type) {
+  return config.types.find((rule) => rule.type === type);
+}
+
+export { DEFAULT_CONFIG, BUMP_LEVELS, GROUP_BY_MODES, validateConfig, loadConfig, getTypeRule };
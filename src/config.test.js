@@ -0,0 +1,214 @@
+import mock from 'mock-fs';
+
+const { DEFAULT_CONFIG, validateConfig, loadConfig, getTypeRule } = await import('./config.js');
+
+describe('Configuration', () => {
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('validateConfig', () => {
+    it('should return the defaults for an empty file', () => {
+      expect(validateConfig(null)).toBe(DEFAULT_CONFIG);
+    });
+
+    it('should replace the default types and fill in optional fields', () => {
+      const config = validateConfig({
+        types: [
+          { type: 'feat', section: 'Features', bump: 'minor' },
+          { type: 'security', section: '🔒 Security', bump: 'patch' },
+          { type: 'docs', hidden: true }
+        ]
+      });
+
+      expect(config.types).toEqual([
+        { type: 'feat', section: 'Features', bump: 'minor', hidden: false },
+        { type: 'security', section: '🔒 Security', bump: 'patch', hidden: false },
+        { type: 'docs', section: 'docs', bump: 'none', hidden: true }
+      ]);
+      expect(config.breakingSection).toBe(DEFAULT_CONFIG.breakingSection);
+    });
+
+    it('should normalize packages and default their tag prefix', () => {
+      const config = validateConfig({
+        packages: [
+          { name: 'api', path: './packages/api/', 'tag-prefix': 'api@' },
+          { name: 'web', path: 'packages/web', changelog: 'packages/web/CHANGELOG.md' }
+        ]
+      });
+
+      expect(config.packages).toEqual([
+        { name: 'api', path: 'packages/api', tagPrefix: 'api@', versionFiles: [], changelog: '' },
+        {
+          name: 'web',
+          path: 'packages/web',
+          tagPrefix: 'web-v',
+          versionFiles: [],
+          changelog: 'packages/web/CHANGELOG.md'
+        }
+      ]);
+    });
+
+    it('should parse version files', () => {
+      const config = validateConfig({
+        'version-files': [
+          { path: 'package.json', 'json-path': 'version' },
+          { path: 'Chart.yaml', 'yaml-key': 'appVersion' },
+          { path: 'Cargo.toml', 'toml-key': 'package.version' },
+          { path: 'VERSION', regex: '^(.+)$' }
+        ]
+      });
+
+      expect(config.versionFiles).toEqual([
+        { path: 'package.json', jsonPath: 'version', yamlKey: undefined, tomlKey: undefined, regex: undefined },
+        { path: 'Chart.yaml', jsonPath: undefined, yamlKey: 'appVersion', tomlKey: undefined, regex: undefined },
+        { path: 'Cargo.toml', jsonPath: undefined, yamlKey: undefined, tomlKey: 'package.version', regex: undefined },
+        { path: 'VERSION', jsonPath: undefined, yamlKey: undefined, tomlKey: undefined, regex: '^(.+)$' }
+      ]);
+    });
+
+    it('should override the breaking and other section titles', () => {
+      const config = validateConfig({ 'breaking-section': 'Breaking', 'other-section': 'Misc' });
+
+      expect(config.breakingSection).toBe('Breaking');
+      expect(config.otherSection).toBe('Misc');
+      expect(config.types).toBe(DEFAULT_CONFIG.types);
+    });
+
+    it('should select the grouping mode and highlights title', () => {
+      const config = validateConfig({ 'group-by': 'scope-type', 'highlights-section': 'Spotlight' });
+
+      expect(config.groupBy).toBe('scope-type');
+      expect(config.highlightsSection).toBe('Spotlight');
+      expect(DEFAULT_CONFIG.groupBy).toBe('type');
+    });
+
+    it('should parse the commit message rules', () => {
+      const config = validateConfig({
+        lint: { types: ['Feat', 'fix'], scopes: ['api'], 'max-subject-length': 0, 'subject-case': 'lower' }
+      });
+
+      expect(config.lint).toEqual({
+        types: ['Feat', 'fix'],
+        scopes: ['api'],
+        maxSubjectLength: 0,
+        subjectCase: 'lower',
+        pullRequest: 'commits'
+      });
+      expect(DEFAULT_CONFIG.lint.maxSubjectLength).toBe(100);
+    });
+
+    it('should enable initial development semantics', () => {
+      expect(validateConfig({ 'initial-development': true }).initialDevelopment).toBe(true);
+      expect(DEFAULT_CONFIG.initialDevelopment).toBe(false);
+    });
+
+    it.each([
+      [[], 'the top level must be a mapping'],
+      [
+        { version: 2 },
+        'the top level has unknown key "version", expected one of: breaking-section, other-section, types'
+      ],
+      [{ types: { feat: 'minor' } }, 'types must be a list'],
+      [{ types: ['feat'] }, 'types[0] must be a mapping'],
+      [{ types: [{ section: 'Features' }] }, 'types[0].type must be a non-empty string'],
+      [{ types: [{ type: 'feat bar' }] }, 'types[0].type "feat bar" may only contain letters, digits, "_" and "-"'],
+      [{ types: [{ type: 'feat', bump: 'huge' }] }, 'types[0].bump must be one of: major, minor, patch, none'],
+      [{ types: [{ type: 'feat', hidden: 'yes' }] }, 'types[0].hidden must be true or false'],
+      [{ types: [{ type: 'feat', emoji: '✨' }] }, 'types[0] has unknown key "emoji"'],
+      [{ types: [{ type: 'feat' }, { type: 'Feat' }] }, 'types has a duplicate entry for "feat"'],
+      [{ 'breaking-section': '' }, 'breaking-section must be a non-empty string'],
+      [{ packages: { api: 'packages/api' } }, 'packages must be a list'],
+      [{ 'version-files': 'package.json' }, 'version-files must be a list'],
+      [{ changelog: true }, 'changelog must be a non-empty string'],
+      [{ 'version-files': [{ path: 'package.json' }] }, 'version-files[0] must set exactly one of: json-path'],
+      [
+        { 'version-files': [{ path: 'Chart.yaml', 'yaml-key': 'version', 'json-path': 'version' }] },
+        'version-files[0] must set exactly one of'
+      ],
+      [{ 'version-files': [{ path: 'VERSION', regex: '\\d+' }] }, 'version-files[0].regex needs a capture group'],
+      [
+        { 'version-files': [{ path: 'VERSION', regex: '(' }] },
+        'version-files[0].regex is not a valid regular expression'
+      ],
+      [
+        { packages: [{ name: 'api', path: 'api', 'version-files': [{ path: 'api/package.json' }] }] },
+        'packages[0].version-files[0] must set exactly one of'
+      ],
+      [{ packages: [{ name: 'api' }] }, 'packages[0].path must be a non-empty string'],
+      [{ 'group-by': 'author' }, 'group-by must be one of: type, type-scope, scope-type'],
+      [{ 'initial-development': 'yes' }, 'initial-development must be true or false'],
+      [{ lint: ['feat'] }, 'lint must be a mapping'],
+      [{ lint: { types: 'feat' } }, 'lint.types must be a list of non-empty strings'],
+      [{ lint: { 'max-subject-length': -1 } }, 'lint.max-subject-length must be a whole number, 0 for no limit'],
+      [{ lint: { 'subject-case': 'title' } }, 'lint.subject-case must be one of: any, lower, upper'],
+      [{ lint: { 'pull-request': 'all' } }, 'lint.pull-request must be one of: commits, title, both'],
+      [{ lint: { body: true } }, 'lint has unknown key "body"'],
+      [{ packages: [{ name: 'api', path: 'api', 'tag-prefix': 1 }] }, 'packages[0].tag-prefix must be a string'],
+      [
+        {
+          packages: [
+            { name: 'api', path: 'api' },
+            { name: 'api', path: 'api2' }
+          ]
+        },
+        'packages has a duplicate entry for "api"'
+      ],
+      [
+        {
+          packages: [
+            { name: 'api', path: 'api', 'tag-prefix': 'v' },
+            { name: 'web', path: 'web', 'tag-prefix': 'v' }
+          ]
+        },
+        'packages tag-prefix has a duplicate entry for "v"'
+      ]
+    ])('should reject invalid config %j', (rawConfig, message) => {
+      expect(() => validateConfig(rawConfig)).toThrow(message);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should parse and validate a YAML config file', () => {
+      mock({
+        '/repo/.semver-release.yml': 'types:\n  - type: perf\n    section: Performance\n    bump: patch\n'
+      });
+
+      const config = loadConfig('/repo/.semver-release.yml');
+      expect(config.types).toEqual([{ type: 'perf', section: 'Performance', bump: 'patch', hidden: false }]);
+    });
+
+    it('should fall back to the defaults when an optional file is missing', () => {
+      mock({ '/repo': {} });
+
+      expect(loadConfig('/repo/.semver-release.yml')).toBe(DEFAULT_CONFIG);
+    });
+
+    it('should fail when a required file is missing', () => {
+      mock({ '/repo': {} });
+
+      expect(() => loadConfig('/repo/release.yml', true)).toThrow('Config file /repo/release.yml does not exist');
+    });
+
+    it('should include the file name in validation errors', () => {
+      mock({ '/repo/.semver-release.yml': 'types:\n  - type: feat\n    bump: huge\n' });
+
+      expect(() => loadConfig('/repo/.semver-release.yml')).toThrow(
+        'Invalid config file /repo/.semver-release.yml: types[0].bump must be one of: major, minor, patch, none'
+      );
+    });
+
+    it('should include the file name in YAML syntax errors', () => {
+      mock({ '/repo/.semver-release.yml': 'types: [' });
+
+      expect(() => loadConfig('/repo/.semver-release.yml')).toThrow('Invalid config file /repo/.semver-release.yml:');
+    });
+  });
+
+  describe('getTypeRule', () => {
+    it('should look up the rule for a commit type', () => {
+      expect(getTypeRule(DEFAULT_CONFIG, 'feat').bump).toBe('minor');
+      expect(getTypeRule(DEFAULT_CONFIG, 'unknown')).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+import { isInRange } from './maintenance.js';
+import { getChannel } from './preflight.js';
+import { getVersionTags } from './tag-format.js';
+
+// The draft of the upcoming release is the highest one tagged like tagFormat on the same channel and release line, as
+// its version may still change while commits land, e.g. from 1.2.1 to 1.3.0. Drafts not above currentVersion belong to
+// an older line, e.g. 1.2.4 drafted on release/1.x while main is at 2.0.0
+async function findDraftRelease(backend, { tagFormat, version, range = '', currentVersion = '' }) {
+  const drafts = await backend.listDraftReleases();
+  const channel = getChannel(version);
+  const candidates = getVersionTags(
+    drafts.map(({ tagName }) => tagName),
+    tagFormat
+  )
+    .filter(({ version: draftVersion }) => getChannel(draftVersion) === channel && isInRange(draftVersion, range))
+    .filter(({ version: draftVersion }) => !currentVersion || semver.gt(draftVersion, currentVersion))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+
+  return candidates.length > 0 ? drafts.find(({ tagName }) => tagName === candidates[0].tag) : null;
+}
+
+// Creates the release, or updates the draft of the upcoming release in place when reuseDraft is set
+async function upsertRelease(backend, release, { tagFormat, version, range, currentVersion, reuseDraft = false }) {
+  const draft = reuseDraft ? await findDraftRelease(backend, { tagFormat, version, range, currentVersion }) : null;
+  if (!draft) {
+    return backend.createRelease(release);
+  }
+
+  const updated = await backend.updateRelease(draft.id, release);
+  core.info(`${release.draft ? 'Updated' : 'Published'} draft release ${draft.tagName} as ${release.tagName}`);
+  return updated;
+}
+
+export { findDraftRelease, upsertRelease };
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { findDraftRelease, upsertRelease } = await import('./drafts.js');
+
+describe('Draft releases', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    backend = {
+      listDraftReleases: jest.fn().mockResolvedValue([
+        { id: 1, tagName: 'v1.2.1', url: 'https://example.com/1' },
+        { id: 2, tagName: 'v1.3.0-rc.0', url: 'https://example.com/2' },
+        { id: 3, tagName: 'api-v4.0.0', url: 'https://example.com/3' },
+        { id: 4, tagName: 'v0.9.1', url: 'https://example.com/4' }
+      ]),
+      createRelease: jest.fn().mockResolvedValue({ id: 9, url: 'https://example.com/9' }),
+      updateRelease: jest.fn().mockResolvedValue({ id: 1, url: 'https://example.com/1' })
+    };
+  });
+
+  describe('findDraftRelease', () => {
+    it('should find the highest stable draft with the tag format', async () => {
+      await expect(findDraftRelease(backend, { tagFormat: 'v{version}', version: '1.3.0' })).resolves.toEqual({
+        id: 1,
+        tagName: 'v1.2.1',
+        url: 'https://example.com/1'
+      });
+    });
+
+    it('should only consider drafts on the same channel', async () => {
+      const draft = await findDraftRelease(backend, { tagFormat: 'v{version}', version: '1.3.0-rc.1' });
+      expect(draft.id).toBe(2);
+
+      await expect(findDraftRelease(backend, { tagFormat: 'v{version}', version: '1.3.0-beta.0' })).resolves.toBeNull();
+    });
+
+    it('should leave drafts of older release lines alone', async () => {
+      backend.listDraftReleases.mockResolvedValue([
+        { id: 5, tagName: 'v1.2.4', url: 'https://example.com/5' },
+        { id: 6, tagName: 'v2.0.1', url: 'https://example.com/6' }
+      ]);
+
+      await expect(
+        findDraftRelease(backend, { tagFormat: 'v{version}', version: '2.1.0', currentVersion: '2.0.0' })
+      ).resolves.toMatchObject({ id: 6 });
+      await expect(
+        findDraftRelease(backend, { tagFormat: 'v{version}', version: '2.1.0', currentVersion: '2.0.1' })
+      ).resolves.toBeNull();
+    });
+
+    it('should only consider drafts within the release line of a maintenance branch', async () => {
+      const draft = await findDraftRelease(backend, { tagFormat: 'v{version}', version: '0.9.2', range: '0.x' });
+      expect(draft.id).toBe(4);
+    });
+  });
+
+  describe('upsertRelease', () => {
+    const release = { tagName: 'v1.3.0', draft: true };
+
+    it('should update the existing draft', async () => {
+      const result = await upsertRelease(backend, release, {
+        tagFormat: 'v{version}',
+        version: '1.3.0',
+        reuseDraft: true
+      });
+
+      expect(backend.updateRelease).toHaveBeenCalledWith(1, release);
+      expect(backend.createRelease).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('Updated draft release v1.2.1 as v1.3.0');
+      expect(result).toEqual({ id: 1, url: 'https://example.com/1' });
+    });
+
+    it('should publish the existing draft', async () => {
+      await upsertRelease(
+        backend,
+        { ...release, draft: false },
+        { tagFormat: 'v{version}', version: '1.3.0', reuseDraft: true }
+      );
+
+      expect(core.info).toHaveBeenCalledWith('Published draft release v1.2.1 as v1.3.0');
+    });
+
+    it('should create a release when there is no draft to reuse', async () => {
+      backend.listDraftReleases.mockResolvedValue([]);
+
+      await expect(
+        upsertRelease(backend, release, { tagFormat: 'v{version}', version: '1.3.0', reuseDraft: true })
+      ).resolves.toEqual({ id: 9, url: 'https://example.com/9' });
+      expect(backend.createRelease).toHaveBeenCalledWith(release);
+    });
+
+    it('should not look for drafts unless asked to', async () => {
+      await upsertRelease(backend, release, { tagFormat: 'v{version}', version: '1.3.0' });
+
+      expect(backend.listDraftReleases).not.toHaveBeenCalled();
+      expect(backend.createRelease).toHaveBeenCalledWith(release);
+    });
+  });
+});
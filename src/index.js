@@ -1,317 +1,797 @@
 import * as core from '@actions/core';
 import * as github from '@actions/github';
+import path from 'path';
 import semver from 'semver';
-
-async function getLatestReleaseData(octokit, owner, repo, defaultVersion) {
+import { PREVIOUS_RELEASE_STRATEGIES, createBackend } from './backends/index.js';
+import { dropRevertedCommits, parseCommit } from './commits.js';
+import { DEFAULT_CONFIG, getTypeRule, loadConfig } from './config.js';
+import {
+  filterCommitsByPath,
+  getLatestPackageRelease,
+  getPackageTagFormat,
+  getPackageVersionTags
+} from './monorepo.js';
+import {
+  DEFAULT_RELEASE_NAME,
+  DEFAULT_TAG_FORMAT,
+  formatTag,
+  getVersionTags,
+  renderPlaceholders,
+  validateTagFormat
+} from './tag-format.js';
+import { updateVersionFiles } from './version-files.js';
+import { formatChangelogEntry, renderChangelog, updateChangelog, writeChangelog } from './changelog.js';
+import { generateReleaseNotes, getBreakingChanges, loadTemplate, resolveContributions } from './notes.js';
+import { PREFLIGHT_MODES, runPreflightChecks } from './preflight.js';
+import { resolveVersionOverride } from './override.js';
+import { findAssets, uploadAssets } from './assets.js';
+import { upsertRelease } from './drafts.js';
+import { createOutputs, formatCommits, getBumpType, getVersionComponents } from './outputs.js';
+import { LINT_MODES, lintCommits, lintPullRequest, reportLintResults } from './lint.js';
+import {
+  formatPackagesPreviewComment,
+  formatPreviewComment,
+  getVersionTable,
+  updatePreviewComment
+} from './preview.js';
+import { assertInRange, parseMaintenanceBranches, resolveMaintenanceRange } from './maintenance.js';
+import { dropReleaseCommits, getReleasePrBranch, isReleasePrMerge, updateReleasePr } from './release-pr.js';
+import {
+  getLatestPrereleaseVersion,
+  getNextPrereleaseVersion,
+  parseBranchChannels,
+  resolvePrereleaseChannel
+} from './prerelease.js';
+
+async function getCommitsSinceRelease(backend, baseRef, headRef) {
   try {
-    const latestRelease = await octokit.rest.repos.getLatestRelease({ owner, repo });
-    core.debug(`Latest release data: ${JSON.stringify(latestRelease.data, null, 2)}`);
-
-    if (!latestRelease.data.created_at) {
-      core.warning('No previous releases found, using default version');
-      return {
-        currentReleaseDate: new Date(0),
-        currentReleaseTag: defaultVersion
-      };
-    }
-
-    const releaseDate = new Date(latestRelease.data.created_at);
-    return {
-      // Adding 10 seconds to ensure we don't include commits made at the exact release time
-      currentReleaseDate: new Date(releaseDate.getTime() + 1000),
-      currentReleaseTag: semver.clean(latestRelease.data.tag_name) || defaultVersion
-    };
-  } catch (error) {
-    if (error.message.includes('Not Found')) {
-      core.warning('No previous releases found, using default version');
-      return {
-        currentReleaseDate: new Date(0),
-        currentReleaseTag: defaultVersion
-      };
-    }
-    throw new Error(`Failed to get latest release: ${error.message}`);
-  }
-}
-
-async function getCommitsSinceDate(octokit, owner, repo, sinceDate) {
-  try {
-    const commits = await octokit.paginate(octokit.rest.repos.listCommits, {
-      owner,
-      repo,
-      since: sinceDate.toISOString(),
-      per_page: 100
-    });
-
-    const parsedCommits = commits.map((commit) => {
-      const message = commit.commit.message;
-      const shortSha = commit.sha.substring(0, 7);
-
-      // Parse conventional commit format: <type>[optional scope]: <description>\n[optional body]
-      const lines = message.split('\n');
-      const firstLine = lines[0];
-      const body = lines.slice(1).join('\n').trim();
-
-      // Regex to parse: type(scope)!: description
-      const conventionalCommitRegex = /^(\w+)(\(([^)]+)\))?(!)?:\s*(.+)$/;
-      const match = firstLine.match(conventionalCommitRegex);
-
-      let type, scope, isBreaking, description;
-
-      if (match) {
-        type = match[1]; // feat, fix, docs, etc.
-        scope = match[3] || ''; // optional scope
-        description = match[5]; // commit description
-
-        // breaking change if ! is present and type is feat or fix
-        isBreaking = !!match[4] && (type === 'feat' || type === 'fix');
-      } else {
-        type = 'other';
-        scope = '';
-        isBreaking = false;
-        description = firstLine;
-      }
-
-      // Check for breaking changes in body (BREAKING CHANGE: footer)
-      const hasBreakingChangeInBody = message.includes('BREAKING CHANGE');
-      if (hasBreakingChangeInBody) {
-        isBreaking = true;
-      }
-
-      return {
-        sha: shortSha,
-        type: type,
-        scope: scope,
-        description: description,
-        body: body,
-        isBreaking: isBreaking,
-        fullMessage: message,
-        author: commit.commit.author.name
-      };
-    });
-
-    return parsedCommits;
+    const commits = await backend.getCommits(baseRef, headRef);
+    return commits.map(parseCommit);
   } catch (error) {
     throw new Error(`Failed to get commits: ${error.message}`);
   }
 }
 
-function calculateNextVersion(parsedCommits, currentVersion) {
+function calculateNextVersion(
+  parsedCommits,
+  currentVersion,
+  { channel = '', existingVersions = [], config = DEFAULT_CONFIG, override = '' } = {}
+) {
   let shouldBumpMajor = false;
   let shouldBumpMinor = false;
   let shouldBumpPatch = false;
 
-  for (const commit of parsedCommits) {
+  // A change and its revert in the same release cancel each other out
+  for (const commit of dropRevertedCommits(parsedCommits)) {
     if (commit.isBreaking) {
       shouldBumpMajor = true;
       core.info(`Breaking change found: ${commit.sha}`);
       continue;
     }
 
-    switch (commit.type) {
-      case 'feat':
+    const rule = getTypeRule(config, commit.type);
+    const bump = rule ? rule.bump : 'none';
+    core.info(`${commit.type} commit found: ${commit.sha} (bump: ${bump})`);
+
+    switch (bump) {
+      case 'major':
+        shouldBumpMajor = true;
+        break;
+
+      case 'minor':
         shouldBumpMinor = true;
-        core.info(`Feature commit found: ${commit.sha}`);
         break;
 
-      case 'fix':
+      case 'patch':
         shouldBumpPatch = true;
-        core.info(`Fix commit found: ${commit.sha}`);
         break;
 
       default:
-        core.info(`${commit.type} commit found: ${commit.sha}`);
         break;
     }
   }
 
+  // While the major is 0 anything may change, so breaking changes bump minor and features bump patch
+  if (config.initialDevelopment && semver.major(currentVersion) === 0) {
+    shouldBumpPatch = shouldBumpPatch || shouldBumpMinor;
+    shouldBumpMinor = shouldBumpMajor;
+    shouldBumpMajor = false;
+  }
+
+  let nextVersion = currentVersion;
   if (shouldBumpMajor) {
-    return semver.inc(currentVersion, 'major');
+    nextVersion = semver.inc(currentVersion, 'major');
   } else if (shouldBumpMinor) {
-    return semver.inc(currentVersion, 'minor');
+    nextVersion = semver.inc(currentVersion, 'minor');
   } else if (shouldBumpPatch) {
-    return semver.inc(currentVersion, 'patch');
+    nextVersion = semver.inc(currentVersion, 'patch');
+  }
+
+  // An override, e.g. "Release-As: 1.0.0" to leave initial development, replaces the calculated version
+  if (override) {
+    nextVersion = override;
+  }
+
+  // On a pre-release channel we count up towards the next stable version instead of releasing it
+  if (channel && nextVersion !== currentVersion) {
+    return getNextPrereleaseVersion(nextVersion, channel, existingVersions);
   }
 
-  return currentVersion;
+  return nextVersion;
 }
 
-function generateReleaseNotes(parsedCommits, version) {
-  const commitTypes = {
-    breaking: {
-      title: '## 💥 Breaking Changes',
-      commits: []
-    },
-    feat: {
-      title: '## ✨ New Features',
-      commits: []
-    },
-    fix: {
-      title: '## 🐛 Bug Fixes',
-      commits: []
-    },
-    perf: {
-      title: '## ⚡ Performance Improvements',
-      commits: []
-    },
-    docs: {
-      title: '## 📚 Documentation',
-      commits: []
-    },
-    build: {
-      title: '## 📦 Build System',
-      commits: []
-    },
-    ci: {
-      title: '## 👷 CI/CD',
-      commits: []
-    },
-    test: {
-      title: '## 🧪 Tests',
-      commits: []
-    },
-    refactor: {
-      title: '## ♻️ Code Refactoring',
-      commits: []
-    },
-    style: {
-      title: '## 💄 Code Style',
-      commits: []
-    },
-    chore: {
-      title: '## 🧹 Chores',
-      commits: []
-    },
-    other: {
-      title: '## 🔧 Other Changes',
-      commits: []
+async function determineNextVersion(
+  parsedCommits,
+  currentVersion,
+  { channel, versionTags, config, override, getCommitsSince }
+) {
+  const existingVersions = versionTags.map(({ version }) => version);
+  const nextVersion = calculateNextVersion(parsedCommits, currentVersion, {
+    channel,
+    existingVersions,
+    config,
+    override
+  });
+  if (nextVersion === currentVersion || !channel) {
+    return { nextVersion, shouldRelease: nextVersion !== currentVersion };
+  }
+
+  // Don't cut another pre-release when nothing landed since the previous one on this channel
+  const targetVersion = `${semver.major(nextVersion)}.${semver.minor(nextVersion)}.${semver.patch(nextVersion)}`;
+  const latestPrerelease = getLatestPrereleaseVersion(targetVersion, channel, existingVersions);
+  const latestPrereleaseTag = versionTags.find(({ version }) => version === latestPrerelease);
+  if (latestPrereleaseTag) {
+    const newCommits = await getCommitsSince(latestPrereleaseTag.tag);
+    if (newCommits.length === 0) {
+      core.info(`No new commits since ${latestPrereleaseTag.tag}, skipping pre-release`);
+      return { nextVersion: latestPrerelease, shouldRelease: false };
     }
-  };
+  }
 
-  parsedCommits.forEach((commit) => {
-    if (commit.isBreaking) {
-      commitTypes.breaking.commits.push(commit);
-    } else {
-      const type = commit.type;
-      if (type in commitTypes) {
-        commitTypes[type].commits.push(commit);
-      } else {
-        commitTypes.other.commits.push(commit);
-      }
+  return { nextVersion, shouldRelease: true };
+}
+
+function getRepositoryUrl() {
+  // The git backend may run outside of GitHub Actions, where there is no repository to link to
+  if (!process.env.GITHUB_REPOSITORY) {
+    return '';
+  }
+  const { owner, repo } = github.context.repo;
+  return `${github.context.serverUrl}/${owner}/${repo}`;
+}
+
+function prepareReleaseFiles(workspace, { versionFiles, changelog }, { version, changelogEntry }) {
+  const files = updateVersionFiles(workspace, versionFiles, version);
+  if (changelog) {
+    const changelogFile = updateChangelog(workspace, changelog, version, changelogEntry);
+    if (changelogFile) {
+      files.push(changelogFile);
     }
-  });
+  }
+  return files;
+}
 
-  let releaseNotes = `# Release ${version}\n\n`;
-  for (const [typeName, typeConfig] of Object.entries(commitTypes)) {
-    if (typeConfig.commits.length > 0) {
-      releaseNotes += `${typeConfig.title}\n\n`;
-      typeConfig.commits.forEach((commit) => {
-        const scopeText = commit.scope ? `**${commit.scope}**: ` : '';
-        const description = commit.description;
-        releaseNotes += `- ${scopeText}${description} (${commit.sha})\n`;
-      });
-      releaseNotes += '\n';
+async function buildChangelogEntries(
+  backend,
+  config,
+  repositoryUrl,
+  notesOptions = {},
+  tagFormat = DEFAULT_TAG_FORMAT
+) {
+  const tags = await backend.listTags();
+  const versionTags = getVersionTags(tags, tagFormat)
+    .filter(({ version }) => semver.prerelease(version) === null)
+    .sort((a, b) => semver.compare(a.version, b.version));
+
+  // Every release covers the commits between its tag and the previous one, newest release first
+  const entries = [];
+  for (let i = 0; i < versionTags.length; i++) {
+    const { tag, version } = versionTags[i];
+    const previousTag = i > 0 ? versionTags[i - 1].tag : null;
+    const parsedCommits = await getCommitsSinceRelease(backend, previousTag, tag);
+    const date = parsedCommits.length > 0 && parsedCommits[0].date ? parsedCommits[0].date.substring(0, 10) : '';
+    // Past releases are not worth an API call per commit, so they only link the "(#123)" suffixes
+    const releaseNotes = generateReleaseNotes(parsedCommits, version, config, {
+      ...notesOptions,
+      repositoryUrl,
+      newContributors: [],
+      previousVersion: previousTag ? versionTags[i - 1].version : '',
+      tag,
+      previousTag,
+      date
+    });
+    entries.unshift(formatChangelogEntry({ version, tag, previousTag, date, releaseNotes, repositoryUrl }));
+  }
+
+  core.info(`Regenerated changelog entries for ${entries.length} previous releases`);
+  return entries;
+}
+
+async function commitReleaseFiles(backend, files, { message, branch, headRef }) {
+  if (files.length === 0) {
+    return headRef;
+  }
+  if (!branch) {
+    throw new Error('Release files can only be committed when running on a branch');
+  }
+
+  // The release is created from this commit, so its tag points at the updated files
+  const sha = await backend.commitFiles({ branch, parentRef: headRef, message, files });
+  core.info(`Committed ${files.length} file(s) to ${branch} as ${sha}`);
+  return sha;
+}
+
+async function publishRelease(
+  backend,
+  release,
+  {
+    workspace,
+    assets = [],
+    checksums = false,
+    tagFormat = DEFAULT_TAG_FORMAT,
+    version,
+    range,
+    currentVersion,
+    reuseDraft = false
+  } = {}
+) {
+  // Assets are looked up first so that a broken pattern fails the run before the release exists
+  const files = assets.length > 0 ? await findAssets(workspace, assets) : [];
+  const created = await upsertRelease(backend, release, { tagFormat, version, range, currentVersion, reuseDraft });
+  if (files.length > 0) {
+    await uploadAssets(backend, created.id, files, { checksums });
+  }
+  return created;
+}
+
+async function runMonorepo(
+  backend,
+  config,
+  {
+    defaultVersion,
+    channel,
+    isPrerelease,
+    isDraft,
+    publishDraft = false,
+    dryRun,
+    headRef,
+    workspace,
+    branch,
+    notesOptions = {},
+    preflightMode = 'fail',
+    releaseName = DEFAULT_RELEASE_NAME,
+    outputs = createOutputs(),
+    lintMode = 'off',
+    pullRequest = null
+  }
+) {
+  const tags = await backend.listTags();
+  const fileCache = new Map();
+  const results = [];
+  const linted = new Map();
+
+  for (const pkg of config.packages) {
+    const versionTags = getPackageVersionTags(tags, pkg.tagPrefix);
+    const getPackageCommits = async (ref) =>
+      filterCommitsByPath(backend, await getCommitsSinceRelease(backend, ref, headRef), pkg.path, fileCache);
+
+    const { currentReleaseRef, currentReleaseTag } = getLatestPackageRelease(versionTags, defaultVersion);
+    core.info(`[${pkg.name}] Current release: ${currentReleaseTag} (${currentReleaseRef || 'no tag'})`);
+
+    const parsedCommits = await getPackageCommits(currentReleaseRef);
+    core.info(`[${pkg.name}] Found ${parsedCommits.length} commits under ${pkg.path} since last release`);
+    parsedCommits.forEach((commit) => linted.set(commit.sha, commit));
+
+    const override = resolveVersionOverride(parsedCommits, currentReleaseTag);
+    const { nextVersion, shouldRelease } = await determineNextVersion(parsedCommits, currentReleaseTag, {
+      channel,
+      versionTags,
+      config,
+      override: override ? override.version : '',
+      getCommitsSince: getPackageCommits
+    });
+    core.info(`[${pkg.name}] Next version determined to be: ${nextVersion} (should release: ${shouldRelease})`);
+
+    const { commits, newContributors } = await resolveContributions(backend, parsedCommits, currentReleaseRef);
+    const releaseNotes = generateReleaseNotes(commits, nextVersion, config, {
+      ...notesOptions,
+      newContributors,
+      packageName: pkg.name,
+      previousVersion: currentReleaseTag,
+      tag: `${pkg.tagPrefix}${nextVersion}`,
+      previousTag: currentReleaseRef || ''
+    });
+    results.push({
+      pkg,
+      override,
+      currentReleaseRef,
+      currentReleaseTag,
+      nextVersion,
+      shouldRelease,
+      releaseNotes,
+      breakingChanges: getBreakingChanges(parsedCommits)
+    });
+  }
+
+  // Commits touching several packages are only reported once
+  if (lintMode !== 'off') {
+    reportLintResults(lintCommits([...linted.values()], config), lintMode);
+  }
+
+  // Set outputs
+  const packagesOutput = {};
+  for (const { pkg, currentReleaseTag, nextVersion, shouldRelease, breakingChanges } of results) {
+    packagesOutput[pkg.name] = {
+      'current-version': currentReleaseTag,
+      'next-version': nextVersion,
+      'should-release': shouldRelease,
+      'bump-type': getBumpType(currentReleaseTag, nextVersion),
+      tag: `${pkg.tagPrefix}${nextVersion}`,
+      'breaking-changes': breakingChanges
+    };
+  }
+  outputs.set('packages', packagesOutput);
+  outputs.set(
+    'should-release',
+    results.some(({ shouldRelease }) => shouldRelease)
+  );
+
+  // Set Summary
+  const summary = core.summary
+    .addHeading('Release Summary', 1)
+    .addTable([
+      ['Package', 'Current', 'Next', 'Should Release'],
+      ...results.map(({ pkg, currentReleaseTag, nextVersion, shouldRelease }) => [
+        pkg.name,
+        currentReleaseTag,
+        nextVersion,
+        shouldRelease ? '✅' : '❌'
+      ])
+    ]);
+  for (const { pkg, override } of results.filter((result) => result.override)) {
+    summary.addRaw(`\n**${pkg.name} override:** \`${override.version}\` from the ${override.reason}\n`);
+  }
+  for (const { pkg, releaseNotes } of results) {
+    summary.addHeading(`${pkg.name} Release Notes`, 2).addCodeBlock(releaseNotes, 'markdown');
+  }
+  await summary.write();
+
+  // On pull requests the result is previewed in a comment instead of being released
+  if (pullRequest) {
+    const packages = results.map(({ pkg, currentReleaseTag, nextVersion, shouldRelease, releaseNotes }) => ({
+      name: pkg.name,
+      currentVersion: currentReleaseTag,
+      nextVersion,
+      shouldRelease,
+      releaseNotes
+    }));
+    await updatePreviewComment(backend, pullRequest.number, formatPackagesPreviewComment(packages));
+    return;
+  }
+
+  // Create a release per package if conditions are met
+  if (dryRun) {
+    core.info('Dry run mode enabled, skipping actual release creation');
+    return;
+  }
+
+  // Release commits are stacked on top of each other when several packages bump their version files
+  let targetRef = headRef;
+  const repositoryUrl = getRepositoryUrl();
+  const today = new Date().toISOString().substring(0, 10);
+  for (const { pkg, currentReleaseRef, currentReleaseTag, nextVersion, shouldRelease, releaseNotes } of results) {
+    if (!shouldRelease) {
+      core.info(`[${pkg.name}] No new version to release, skipping release creation`);
+      continue;
+    }
+
+    const tagName = `${pkg.tagPrefix}${nextVersion}`;
+    const tagFormat = getPackageTagFormat(pkg.tagPrefix);
+    const release = { tagName, tagFormat, version: nextVersion, headRef: targetRef, branch };
+    if (!(await runPreflightChecks(backend, release, preflightMode))) {
+      packagesOutput[pkg.name]['should-release'] = false;
+      continue;
     }
+
+    const changelogEntry = formatChangelogEntry({
+      version: nextVersion,
+      tag: tagName,
+      previousTag: currentReleaseRef,
+      date: today,
+      releaseNotes,
+      repositoryUrl
+    });
+    const files = isDraft ? [] : prepareReleaseFiles(workspace, pkg, { version: nextVersion, changelogEntry });
+    targetRef = await commitReleaseFiles(backend, files, {
+      message: `chore(release): ${tagName}`,
+      branch,
+      headRef: targetRef
+    });
+
+    const published = await publishRelease(
+      backend,
+      {
+        tagName,
+        targetRef,
+        name: renderPlaceholders(releaseName, { tag: tagName, version: nextVersion, package: pkg.name }),
+        body: releaseNotes,
+        draft: isDraft,
+        prerelease: isPrerelease
+      },
+      { tagFormat, version: nextVersion, currentVersion: currentReleaseTag, reuseDraft: isDraft || publishDraft }
+    );
+    packagesOutput[pkg.name]['release-id'] = published.id || '';
+    packagesOutput[pkg.name]['release-url'] = published.url;
   }
 
-  const hasAnyCommits = Object.values(commitTypes).some((typeConfig) => typeConfig.commits.length > 0);
-  if (!hasAnyCommits) {
-    releaseNotes += 'No significant changes in this release.\n\n';
+  // Later steps get the created releases, and should not expect the ones that failed their pre-flight checks
+  outputs.set('packages', packagesOutput);
+  outputs.set(
+    'should-release',
+    Object.values(packagesOutput).some((output) => output['should-release'])
+  );
+}
+
+function createRepositoryBackend(backendType, token, workspace) {
+  if (backendType !== 'github') {
+    return createBackend(backendType, { cwd: workspace });
   }
 
-  return releaseNotes;
+  const octokit = github.getOctokit(token);
+  const { owner, repo } = github.context.repo;
+  core.debug(`Repository: ${owner}/${repo}`);
+  return createBackend(backendType, { octokit, owner, repo });
 }
 
 async function run() {
   try {
-    const token = core.getInput('github-token', { required: true });
+    const backendType = core.getInput('backend') || 'github';
+    const token = core.getInput('github-token', { required: backendType === 'github' });
     const defaultVersion = core.getInput('default-version') || '0.0.0';
     const dryRun = core.getInput('dry-run') === 'true';
     const isDraft = core.getInput('draft') === 'true';
-    const isPrerelease = core.getInput('prerelease') === 'true';
+    const publishDraft = core.getInput('publish-draft') === 'true';
+    if (isDraft && publishDraft) {
+      throw new Error('draft and publish-draft cannot be used together');
+    }
+    const prereleaseChannel = core.getInput('prerelease-channel');
+    const prereleaseBranches = parseBranchChannels(core.getMultilineInput('prerelease-branches'));
+    const maintenanceBranches = parseMaintenanceBranches(core.getMultilineInput('maintenance-branches'));
+    const forceVersion = core.getInput('force-version');
+    const bump = core.getInput('bump');
+    const assets = core.getMultilineInput('assets').filter((pattern) => pattern.trim() !== '');
+    const checksums = core.getInput('checksums') === 'true';
+    const configFile = core.getInput('config-file') || '.semver-release.yml';
+    const regenerate = core.getInput('regenerate-changelog') === 'true';
+    const releasePr = core.getInput('release-pr') === 'true';
+    const tagFormat = validateTagFormat(core.getInput('tag-format') || DEFAULT_TAG_FORMAT);
+    const releaseName = core.getInput('release-name') || DEFAULT_RELEASE_NAME;
+    const previousRelease = core.getInput('previous-release') || 'latest-release';
+    if (!PREVIOUS_RELEASE_STRATEGIES.includes(previousRelease)) {
+      throw new Error(`previous-release must be one of: ${PREVIOUS_RELEASE_STRATEGIES.join(', ')}`);
+    }
+    const previewComment = core.getInput('preview-comment') === 'true';
+    const lintMode = core.getInput('lint-commits') || 'off';
+    if (!LINT_MODES.includes(lintMode)) {
+      throw new Error(`lint-commits must be one of: ${LINT_MODES.join(', ')}`);
+    }
+    const preflightMode = core.getInput('on-preflight-failure') || 'fail';
+    if (!PREFLIGHT_MODES.includes(preflightMode)) {
+      throw new Error(`on-preflight-failure must be one of: ${PREFLIGHT_MODES.join(', ')}`);
+    }
+
+    // Load commit type rules, only complaining about a missing file when it was explicitly configured
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const outputFile = core.getInput('output-file');
+    const outputs = createOutputs(outputFile ? path.resolve(workspace, outputFile) : '');
+    const config = loadConfig(path.resolve(workspace, configFile), configFile !== '.semver-release.yml');
+
+    // A custom release notes template replaces the built-in layout everywhere notes are rendered
+    const templateFile = core.getInput('release-notes-template-file');
+    const repositoryUrl = getRepositoryUrl();
+    const notesOptions = {
+      repositoryUrl,
+      template: loadTemplate(
+        core.getInput('release-notes-template'),
+        templateFile ? path.resolve(workspace, templateFile) : ''
+      )
+    };
+
+    // Create the repository backend
+    const backend = createRepositoryBackend(backendType, token, workspace);
+    const headRef = github.context.sha || 'HEAD';
+    core.debug(`Using ${backend.name} backend at ${headRef}`);
+
+    // On pull requests the commits (or title) about to be merged are checked, and nothing is released
+    const pullRequest = (github.context.payload && github.context.payload.pull_request) || null;
+    if (lintMode !== 'off' && pullRequest) {
+      reportLintResults(await lintPullRequest(backend, pullRequest, config), lintMode);
+      if (!previewComment) {
+        return;
+      }
+    }
+    if (previewComment && backend.name !== 'github') {
+      throw new Error('preview-comment needs the github backend to comment on pull requests');
+    }
+    const previewPullRequest = previewComment ? pullRequest : null;
+
+    // Work out which pre-release channel, if any, this branch publishes to. Pull requests run on their merge ref, so the
+    // preview is for the branch they merge into
+    const ref = github.context.ref || '';
+    const branch = previewPullRequest
+      ? previewPullRequest.base.ref
+      : ref.startsWith('refs/heads/')
+        ? ref.substring('refs/heads/'.length)
+        : '';
+    const channel = resolvePrereleaseChannel(branch, prereleaseChannel, prereleaseBranches);
+    const isPrerelease = core.getInput('prerelease') === 'true' || !!channel;
+    if (channel) {
+      core.info(`Publishing to pre-release channel: ${channel}`);
+    }
 
-    // Create octokit client
-    const octokit = github.getOctokit(token);
-    const context = github.context;
-    const { owner, repo } = context.repo;
-    core.debug(`Repository: ${owner}/${repo}`);
+    // Maintenance branches only release versions of their own line, e.g. 1.x, which never become the latest release
+    const range = resolveMaintenanceRange(branch, maintenanceBranches);
+    if (range) {
+      core.info(`Releasing from maintenance branch ${branch} within ${range}`);
+    }
+
+    if (releasePr && backend.name !== 'github') {
+      throw new Error('release-pr needs the github backend to open pull requests');
+    }
+    if (assets.length > 0 && backend.name !== 'github') {
+      throw new Error('assets need the github backend to upload release assets');
+    }
+
+    if (regenerate && !config.changelog) {
+      throw new Error('regenerate-changelog needs a changelog path in the config file');
+    }
+
+    // In monorepo mode every package gets its own version, notes and release
+    if (config.packages.length > 0) {
+      if (regenerate) {
+        throw new Error('regenerate-changelog is not supported in monorepo mode');
+      }
+      if (releasePr) {
+        throw new Error('release-pr is not supported in monorepo mode');
+      }
+      if (range) {
+        throw new Error('maintenance-branches are not supported in monorepo mode');
+      }
+      if (forceVersion || bump) {
+        throw new Error('force-version and bump are not supported in monorepo mode');
+      }
+      if (assets.length > 0) {
+        throw new Error('assets are not supported in monorepo mode');
+      }
+      await runMonorepo(backend, config, {
+        defaultVersion,
+        channel,
+        isPrerelease,
+        isDraft,
+        publishDraft,
+        dryRun,
+        headRef,
+        workspace,
+        branch,
+        notesOptions,
+        preflightMode,
+        releaseName,
+        outputs,
+        // The commits of the pull request were already checked above, older ones in the range are not its business
+        lintMode: pullRequest ? 'off' : lintMode,
+        pullRequest: previewPullRequest
+      });
+      return;
+    }
 
     // Get latest release data
-    const { currentReleaseDate, currentReleaseTag } = await getLatestReleaseData(octokit, owner, repo, defaultVersion);
-    core.info(`Current release: ${currentReleaseTag} at ${currentReleaseDate.toISOString()}`);
+    const { currentReleaseRef, currentReleaseTag } = await backend.getLatestRelease(defaultVersion, headRef, {
+      tagFormat,
+      range,
+      strategy: previousRelease
+    });
+    core.info(`Current release: ${currentReleaseTag} (${currentReleaseRef || 'no tag'})`);
 
-    // Get all commits since the latest release and parse them
-    const parsedCommits = await getCommitsSinceDate(octokit, owner, repo, currentReleaseDate);
+    // Get all commits between the latest release tag and the analysed commit and parse them
+    const rangeCommits = await getCommitsSinceRelease(backend, currentReleaseRef, headRef);
+    const parsedCommits = releasePr ? dropReleaseCommits(rangeCommits) : rangeCommits;
     core.info(`Found ${parsedCommits.length} commits since last release`);
+    if (lintMode !== 'off' && !pullRequest) {
+      reportLintResults(lintCommits(parsedCommits, config), lintMode);
+    }
 
-    // Calculate next version based on parsed commits
-    const nextVersion = calculateNextVersion(parsedCommits, currentReleaseTag);
+    const existingTags = channel ? await backend.listTags() : [];
+    const versionTags = getVersionTags(existingTags, tagFormat);
+
+    // Calculate next version based on parsed commits, unless an input or Release-As footer asks for a specific one
+    const override = resolveVersionOverride(parsedCommits, currentReleaseTag, { forceVersion, bump });
+    if (override) {
+      core.info(`Version ${override.version} requested by the ${override.reason}`);
+    }
+    const { nextVersion, shouldRelease } = await determineNextVersion(parsedCommits, currentReleaseTag, {
+      channel,
+      versionTags,
+      config,
+      override: override ? override.version : '',
+      getCommitsSince: (ref) => backend.getCommits(ref, headRef)
+    });
     core.info(`Next version determined to be: ${nextVersion}`);
-    const shouldRelease = nextVersion !== currentReleaseTag;
     core.info(`Should release: ${shouldRelease}`);
+    if (shouldRelease) {
+      assertInRange(nextVersion, range, branch);
+    }
 
-    // Generate release notes from parsed commits
-    const releaseNotes = generateReleaseNotes(parsedCommits, nextVersion);
+    // Generate release notes from parsed commits, linking their pull requests and authors
+    const { commits, newContributors } = await resolveContributions(backend, parsedCommits, currentReleaseRef);
+    const releaseNotes = generateReleaseNotes(commits, nextVersion, config, {
+      ...notesOptions,
+      newContributors,
+      previousVersion: currentReleaseTag,
+      tag: formatTag(tagFormat, nextVersion),
+      previousTag: currentReleaseRef || ''
+    });
     core.info('Generated release notes:');
     core.info(releaseNotes);
 
     // Set outputs
-    core.setOutput('next-version', nextVersion);
-    core.setOutput('should-release', shouldRelease);
-    core.setOutput('release-notes', releaseNotes);
+    outputs.set('current-version', currentReleaseTag);
+    outputs.set('next-version', nextVersion);
+    outputs.set('tag', formatTag(tagFormat, nextVersion));
+    outputs.set('should-release', shouldRelease);
+    outputs.set('bump-type', getBumpType(currentReleaseTag, nextVersion));
+    for (const [name, value] of Object.entries(getVersionComponents(nextVersion))) {
+      outputs.set(name, value);
+    }
+    outputs.set('release-notes', releaseNotes);
+    outputs.set('breaking-changes', getBreakingChanges(parsedCommits));
+    outputs.set('commits', formatCommits(parsedCommits));
 
     // Set Summary
-    const current = {
-      major: semver.major(currentReleaseTag),
-      minor: semver.minor(currentReleaseTag),
-      patch: semver.patch(currentReleaseTag)
-    };
-    const next = {
-      major: semver.major(nextVersion),
-      minor: semver.minor(nextVersion),
-      patch: semver.patch(nextVersion)
-    };
-
-    // Determine what changed and add appropriate icons
-    const majorIcon = next.major > current.major ? ' 🔼' : '';
-    const minorIcon = next.minor > current.minor ? ' 🔼' : next.minor < current.minor ? ' 🔄' : '';
-    const patchIcon = next.patch > current.patch ? ' 🔼' : next.patch < current.patch ? ' 🔄' : '';
     const releaseIcon = shouldRelease ? '✅' : '❌';
 
     await core.summary
       .addHeading('Release Summary', 1)
-      .addTable([
-        ['', 'Major', 'Minor', 'Patch'],
-        ['Current', current.major.toString(), current.minor.toString(), current.patch.toString()],
-        ['Next', `${next.major}${majorIcon}`, `${next.minor}${minorIcon}`, `${next.patch}${patchIcon}`]
-      ])
+      .addTable(getVersionTable(currentReleaseTag, nextVersion))
       .addRaw(`\n**Should Release:** ${releaseIcon}\n\n`)
+      .addRaw(channel ? `**Pre-release:** \`${nextVersion}\` on the \`${channel}\` channel\n\n` : '')
+      .addRaw(override ? `**Override:** \`${override.version}\` from the ${override.reason}\n\n` : '')
+      .addRaw(range ? `**Maintenance:** \`${range}\` from \`${branch}\`\n\n` : '')
       .addHeading('Release Notes', 2)
       .addCodeBlock(releaseNotes, 'markdown')
       .write();
 
+    // On pull requests the result is previewed in a comment instead of being released
+    if (previewPullRequest) {
+      const comment = formatPreviewComment({
+        tag: formatTag(tagFormat, nextVersion),
+        currentVersion: currentReleaseTag,
+        nextVersion,
+        shouldRelease,
+        releaseNotes
+      });
+      await updatePreviewComment(backend, previewPullRequest.number, comment);
+      return;
+    }
+
     // Create a release if conditions are met
     if (dryRun) {
       core.info('Dry run mode enabled, skipping actual release creation');
       return;
     }
 
-    if (!shouldRelease) {
+    const tagName = formatTag(tagFormat, nextVersion);
+    const name = renderPlaceholders(releaseName, { tag: tagName, version: nextVersion });
+    const releaseBranch = releasePr ? getReleasePrBranch(branch) : '';
+    const release = { tagName, tagFormat, version: nextVersion, headRef, branch, range };
+    const publishOptions = {
+      workspace,
+      assets,
+      checksums,
+      tagFormat,
+      version: nextVersion,
+      range,
+      currentVersion: currentReleaseTag,
+      reuseDraft: isDraft || publishDraft
+    };
+
+    // Once the release PR is merged its files are already part of head, so only the release itself is left
+    if (releasePr && shouldRelease && (await isReleasePrMerge(backend, headRef, releaseBranch))) {
+      core.info(`Release PR from ${releaseBranch} was merged, publishing ${tagName}`);
+      if (!(await runPreflightChecks(backend, release, preflightMode))) {
+        outputs.set('should-release', false);
+        return;
+      }
+      const published = await publishRelease(
+        backend,
+        {
+          tagName,
+          targetRef: headRef,
+          name,
+          body: releaseNotes,
+          draft: isDraft,
+          prerelease: isPrerelease,
+          latest: !range
+        },
+        publishOptions
+      );
+      outputs.set('release-id', published.id || '');
+      outputs.set('release-url', published.url);
+      return;
+    }
+
+    if (!shouldRelease && !regenerate) {
       core.info('No new version to release, skipping release creation');
       return;
     }
 
-    await octokit.request('POST /repos/{owner}/{repo}/releases', {
-      owner,
-      repo,
-      tag_name: `v${nextVersion}`,
-      name: `v${nextVersion}`,
-      body: releaseNotes,
-      draft: isDraft,
-      prerelease: isPrerelease,
-      headers: {
-        'Content-Type': 'application/json; charset=utf-8'
-      }
+    const changelogEntry = formatChangelogEntry({
+      version: nextVersion,
+      tag: tagName,
+      previousTag: currentReleaseRef,
+      date: new Date().toISOString().substring(0, 10),
+      releaseNotes,
+      repositoryUrl
     });
+
+    // Release PRs are checked once they are merged, right before the tag is created
+    if (shouldRelease && !releasePr && !(await runPreflightChecks(backend, release, preflightMode))) {
+      outputs.set('should-release', false);
+      return;
+    }
+
+    let files = [];
+    if (regenerate) {
+      // Rebuild the whole changelog from past tags, plus the upcoming release if there is one
+      const entries = await buildChangelogEntries(backend, config, repositoryUrl, notesOptions, tagFormat);
+      const changelogFile = writeChangelog(
+        workspace,
+        config.changelog,
+        renderChangelog(shouldRelease ? [changelogEntry, ...entries] : entries)
+      );
+      files = shouldRelease ? updateVersionFiles(workspace, config.versionFiles, nextVersion) : [];
+      if (changelogFile) {
+        files.push(changelogFile);
+      }
+    } else if (!isDraft) {
+      // Drafts are updated on every run, so the version files are only committed once the release is published
+      files = prepareReleaseFiles(workspace, config, { version: nextVersion, changelogEntry });
+    }
+
+    const message = shouldRelease ? `chore(release): ${tagName}` : 'docs(changelog): regenerate changelog';
+    if (releasePr) {
+      const pullRequest = await updateReleasePr(backend, files, {
+        title: message,
+        body: releaseNotes,
+        branch,
+        releaseBranch,
+        headRef
+      });
+      outputs.set('release-pr', pullRequest.number);
+      return;
+    }
+
+    const targetRef = await commitReleaseFiles(backend, files, { message, branch, headRef });
+
+    if (!shouldRelease) {
+      core.info('No new version to release, skipping release creation');
+      return;
+    }
+
+    const published = await publishRelease(
+      backend,
+      {
+        tagName,
+        targetRef,
+        name,
+        body: releaseNotes,
+        draft: isDraft,
+        prerelease: isPrerelease,
+        latest: !range
+      },
+      publishOptions
+    );
+    outputs.set('release-id', published.id || '');
+    outputs.set('release-url', published.url);
   } catch (error) {
     core.setFailed(`Action failed with error: ${error.message}`);
   }
@@ -323,4 +803,16 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
   run();
 }
 
-export { run, getLatestReleaseData, getCommitsSinceDate, calculateNextVersion, generateReleaseNotes };
+export {
+  run,
+  parseCommit,
+  getCommitsSinceRelease,
+  calculateNextVersion,
+  determineNextVersion,
+  prepareReleaseFiles,
+  buildChangelogEntries,
+  commitReleaseFiles,
+  publishRelease,
+  generateReleaseNotes,
+  runMonorepo
+};
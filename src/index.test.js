@@ -1,11 +1,14 @@
 import { jest } from '@jest/globals';
+import mock from 'mock-fs';
 
 jest.unstable_mockModule('@actions/core', () => ({
   debug: jest.fn(),
   info: jest.fn(),
   warning: jest.fn(),
+  error: jest.fn(),
   setFailed: jest.fn(),
   getInput: jest.fn(),
+  getMultilineInput: jest.fn(),
   setOutput: jest.fn(),
   summary: {
     addHeading: jest.fn().mockReturnThis(),
@@ -16,141 +19,83 @@ jest.unstable_mockModule('@actions/core', () => ({
   }
 }));
 
+jest.unstable_mockModule('@actions/github', () => ({
+  context: {},
+  getOctokit: jest.fn()
+}));
+
+jest.unstable_mockModule('./backends/index.js', () => ({
+  PREVIOUS_RELEASE_STRATEGIES: ['latest-release', 'highest-tag', 'highest-release'],
+  createBackend: jest.fn()
+}));
+
 const core = await import('@actions/core');
+const github = await import('@actions/github');
 const semver = await import('semver');
-const { getLatestReleaseData, getCommitsSinceDate, calculateNextVersion, generateReleaseNotes } =
-  await import('./index.js');
+const { createBackend } = await import('./backends/index.js');
+const {
+  run,
+  parseCommit,
+  getCommitsSinceRelease,
+  calculateNextVersion,
+  determineNextVersion,
+  prepareReleaseFiles,
+  buildChangelogEntries,
+  commitReleaseFiles,
+  publishRelease,
+  generateReleaseNotes,
+  runMonorepo
+} = await import('./index.js');
+const { DEFAULT_CONFIG } = await import('./config.js');
 
 describe('GitHub Action - Semantic Version Release Functions', () => {
-  let mockOctokit;
+  let mockBackend;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    mockOctokit = {
-      rest: {
-        repos: {
-          getLatestRelease: jest.fn(),
-          listCommits: jest.fn()
-        }
-      },
-      paginate: jest.fn()
+    mockBackend = {
+      getCommits: jest.fn(),
+      getPullRequests: jest.fn().mockResolvedValue([]),
+      getPullRequest: jest.fn().mockResolvedValue(null),
+      hasCommitsBefore: jest.fn().mockResolvedValue(true)
     };
   });
 
-  describe('getLatestReleaseData', () => {
-    it('should return latest release data when release exists', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({
-        data: {
-          created_at: '2024-01-15T10:30:00Z',
-          tag_name: 'v1.2.3'
-        }
-      });
-
-      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0');
-      expect(result).toEqual({
-        currentReleaseDate: new Date('2024-01-15T10:30:01Z'), // note the 1 sec added
-        currentReleaseTag: '1.2.3'
-      });
-    });
-
-    it('should use default version when semver.clean returns null', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({
-        data: {
-          created_at: '2024-01-15T10:30:00Z',
-          tag_name: 'invalid-tag'
-        }
-      });
-
-      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.1.0');
-      expect(result).toEqual({
-        currentReleaseDate: new Date('2024-01-15T10:30:01Z'), // note the 1 sec added
-        currentReleaseTag: '0.1.0'
-      });
-    });
-
-    it('should return default version when no previous release exists', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockRejectedValue(new Error('Not Found'));
-
-      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '1.0.0');
-      expect(result.currentReleaseTag).toBe('1.0.0');
-    });
-
-    it('should return default version when no created_at date exists', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: {} });
-
-      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.5.0');
-      const afterCall = Date.now();
-
-      expect(result.currentReleaseTag).toBe('0.5.0');
-      expect(result.currentReleaseDate).toBeInstanceOf(Date);
-      expect(result.currentReleaseDate.getTime()).toBeLessThanOrEqual(afterCall);
-    });
-
-    it('should return default version when created_at is null', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockResolvedValue({ data: { created_at: null, tag_name: 'v1.0.0' } });
-
-      const result = await getLatestReleaseData(mockOctokit, 'owner', 'repo', '1.0.0');
-      expect(result.currentReleaseTag).toBe('1.0.0');
-    });
-
-    it('should throw descriptive error when API call fails', async () => {
-      mockOctokit.rest.repos.getLatestRelease.mockRejectedValue(new Error('Unknown error'));
-
-      await expect(getLatestReleaseData(mockOctokit, 'owner', 'repo', '0.0.0')).rejects.toThrow(
-        'Failed to get latest release: Unknown error'
-      );
-    });
-  });
-
-  describe('getCommitsSinceDate', () => {
+  describe('getCommitsSinceRelease', () => {
     it('should parse conventional commits with all variations', async () => {
-      mockOctokit.paginate.mockResolvedValue([
+      mockBackend.getCommits.mockResolvedValue([
         {
           sha: '1234567890abcdef1234567890abcdef12345678',
-          commit: {
-            message: 'feat(auth): add OAuth 2.0 support\n\nImplemented full OAuth 2.0 flow with refresh tokens',
-            author: { name: 'John Doe' }
-          }
+          message: 'feat(auth): add OAuth 2.0 support\n\nImplemented full OAuth 2.0 flow with refresh tokens',
+          author: 'John Doe'
         },
         {
           sha: 'abcdef1234567890abcdef1234567890abcdef12',
-          commit: {
-            message: 'fix: resolve memory leak in worker threads\n\nBREAKING CHANGE: Worker API has been redesigned',
-            author: { name: 'Jane Smith' }
-          }
+          message: 'fix: resolve memory leak in worker threads\n\nBREAKING CHANGE: Worker API has been redesigned',
+          author: 'Jane Smith'
         },
         {
           sha: 'fedcba0987654321fedcba0987654321fedcba09',
-          commit: {
-            message: 'feat!: redesign user authentication system',
-            author: { name: 'Alice Brown' }
-          }
+          message: 'feat!: redesign user authentication system',
+          author: 'Alice Brown'
         },
         {
           sha: 'abcd1234efgh5678ijkl9012mnop3456qrst7890',
-          commit: {
-            message: 'perf(database): optimize query performance\n\nReduced query time by 40%',
-            author: { name: 'Bob Wilson' }
-          }
+          message: 'perf(database): optimize query performance\n\nReduced query time by 40%',
+          author: 'Bob Wilson'
         },
         {
           sha: 'abcd1234efgh5678ijkl9012mnop3456qrst7890',
-          commit: {
-            message: 'ci(github-actions)!: update some-action to v2',
-            author: { name: 'Bob Wilson' }
-          }
+          message: 'ci(github-actions)!: update some-action to v2',
+          author: 'Bob Wilson'
         },
         {
           sha: 'abcd1234efgh5678ijkl9012mnop3456qrst7890',
-          commit: {
-            message: 'chore(npm)!: update some-package to v3',
-            author: { name: 'Bob Wilson' }
-          }
+          message: 'chore(npm)!: update some-package to v3',
+          author: 'Bob Wilson'
         }
       ]);
-      const sinceDate = new Date('2024-01-01T00:00:00Z');
-
-      const result = await getCommitsSinceDate(mockOctokit, 'owner', 'repo', sinceDate);
+      const result = await getCommitsSinceRelease(mockBackend, null, 'HEAD');
 
       expect(result).toHaveLength(6);
 
@@ -172,7 +117,8 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
         type: 'fix',
         scope: '',
         description: 'resolve memory leak in worker threads',
-        body: 'BREAKING CHANGE: Worker API has been redesigned',
+        body: '',
+        footers: [{ token: 'BREAKING CHANGE', value: 'Worker API has been redesigned' }],
         isBreaking: true,
         author: 'Jane Smith'
       });
@@ -198,53 +144,47 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
         author: 'Bob Wilson'
       });
 
-      // Test ci commit with "!" notation -> NOT a breaking change
+      // Test ci commit with "!" notation -> breaking change on any type
       expect(result[4]).toMatchObject({
         sha: 'abcd123',
         type: 'ci',
         scope: 'github-actions',
         description: 'update some-action to v2',
         body: '',
-        isBreaking: false
+        isBreaking: true
       });
 
-      // Test chore commit with "!" notation -> NOT a breaking change
+      // Test chore commit with "!" notation -> breaking change on any type
       expect(result[5]).toMatchObject({
         sha: 'abcd123',
         type: 'chore',
         scope: 'npm',
         description: 'update some-package to v3',
         body: '',
-        isBreaking: false
+        isBreaking: true
       });
     });
 
     it('should handle non-conventional commit formats', async () => {
-      mockOctokit.paginate.mockResolvedValue([
+      mockBackend.getCommits.mockResolvedValue([
         {
           sha: '1111222233334444555566667777888899990000',
-          commit: {
-            message: 'Update README with new installation instructions',
-            author: { name: 'Test User' }
-          }
+          message: 'Update README with new installation instructions',
+          author: 'Test User'
         },
         {
           sha: '2222333344445555666677778888999900001111',
-          commit: {
-            message: '',
-            author: { name: 'Empty Commit' }
-          }
+          message: '',
+          author: 'Empty Commit'
         },
         {
           sha: '3333444455556666777788889999000011112222',
-          commit: {
-            message: 'fix(api) missing colon after type',
-            author: { name: 'Malformed User' }
-          }
+          message: 'fix(api) missing colon after type',
+          author: 'Malformed User'
         }
       ]);
 
-      const result = await getCommitsSinceDate(mockOctokit, 'owner', 'repo', new Date());
+      const result = await getCommitsSinceRelease(mockBackend, null, 'HEAD');
       expect(result).toHaveLength(3);
 
       // Non-conventional commit
@@ -279,18 +219,16 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
     });
 
     it('should handle complex scopes and multiline bodies', async () => {
-      mockOctokit.paginate.mockResolvedValue([
+      mockBackend.getCommits.mockResolvedValue([
         {
           sha: 'aaaa1111bbbb2222cccc3333dddd4444eeee5555',
-          commit: {
-            message:
-              'feat(api/v2/auth/oauth): add complex nested scope\n\nLine 1 of body\nLine 2 of body\n\nBREAKING CHANGE: This breaks things\nMore breaking info',
-            author: { name: 'Complex User' }
-          }
+          message:
+            'feat(api/v2/auth/oauth): add complex nested scope\n\nLine 1 of body\nLine 2 of body\n\nBREAKING CHANGE: This breaks things\nMore breaking info',
+          author: 'Complex User'
         }
       ]);
 
-      const result = await getCommitsSinceDate(mockOctokit, 'owner', 'repo', new Date());
+      const result = await getCommitsSinceRelease(mockBackend, null, 'HEAD');
       expect(result).toHaveLength(1);
 
       // Test complex scope with multiline body and breaking change
@@ -298,29 +236,16 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
         type: 'feat',
         scope: 'api/v2/auth/oauth',
         description: 'add complex nested scope',
-        body: 'Line 1 of body\nLine 2 of body\n\nBREAKING CHANGE: This breaks things\nMore breaking info',
+        body: 'Line 1 of body\nLine 2 of body',
+        footers: [{ token: 'BREAKING CHANGE', value: 'This breaks things\nMore breaking info' }],
         isBreaking: true
       });
     });
 
-    it('should call GitHub API with correct parameters', async () => {
-      mockOctokit.paginate.mockResolvedValue([]);
-      const sinceDate = new Date('2024-03-15T14:30:45.123Z');
-
-      await getCommitsSinceDate(mockOctokit, 'test-owner', 'test-repo', sinceDate);
-
-      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.repos.listCommits, {
-        owner: 'test-owner',
-        repo: 'test-repo',
-        since: '2024-03-15T14:30:45.123Z',
-        per_page: 100
-      });
-    });
-
     it('should throw descriptive error when API call fails', async () => {
-      mockOctokit.paginate.mockRejectedValue(new Error('Rate limit exceeded'));
+      mockBackend.getCommits.mockRejectedValue(new Error('Rate limit exceeded'));
 
-      await expect(getCommitsSinceDate(mockOctokit, 'owner', 'repo', new Date())).rejects.toThrow(
+      await expect(getCommitsSinceRelease(mockBackend, 'v1.0.0', 'HEAD')).rejects.toThrow(
         'Failed to get commits: Rate limit exceeded'
       );
     });
@@ -408,6 +333,102 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
       const result = calculateNextVersion(commits, '1.2.3');
       expect(result).toBe('1.2.3');
     });
+
+    it('should not bump for a change reverted in the same release', () => {
+      const commits = [
+        { type: 'revert', isBreaking: false, sha: 'revert1', revert: { header: 'feat: add thing', shas: ['feat1'] } },
+        { type: 'fix', isBreaking: false, sha: 'fix1' },
+        { type: 'feat', isBreaking: false, sha: 'feat1' }
+      ];
+
+      const result = calculateNextVersion(commits, '1.2.3');
+      expect(result).toBe('1.2.4');
+    });
+
+    it('should not bump for a squash merged change reverted through GitHub in the same release', () => {
+      const commits = [
+        parseCommit({ sha: 'bbbb2222', message: 'Revert "feat: add thing (#12)" (#15)\n\nReverts owner/repo#12' }),
+        parseCommit({ sha: 'aaaa1111', message: 'feat: add thing (#12)' })
+      ];
+
+      const result = calculateNextVersion(commits, '1.0.0');
+      expect(result).toBe('1.0.0');
+    });
+
+    it('should bump patch for a revert of an earlier release', () => {
+      const commits = [
+        { type: 'revert', isBreaking: false, sha: 'revert1', revert: { header: 'feat: add thing', shas: ['old1'] } }
+      ];
+
+      const result = calculateNextVersion(commits, '1.2.3');
+      expect(result).toBe('1.2.4');
+    });
+
+    it('should use configured bump levels', () => {
+      const config = {
+        ...DEFAULT_CONFIG,
+        types: [
+          { type: 'perf', section: 'Performance', bump: 'patch', hidden: false },
+          { type: 'security', section: 'Security', bump: 'minor', hidden: false }
+        ]
+      };
+
+      expect(calculateNextVersion([{ type: 'perf', isBreaking: false, sha: 'perf1' }], '1.0.0', { config })).toBe(
+        '1.0.1'
+      );
+      expect(calculateNextVersion([{ type: 'security', isBreaking: false, sha: 'sec1' }], '1.0.0', { config })).toBe(
+        '1.1.0'
+      );
+      expect(calculateNextVersion([{ type: 'feat', isBreaking: false, sha: 'feat1' }], '1.0.0', { config })).toBe(
+        '1.0.0'
+      );
+    });
+
+    it('should produce a pre-release on a channel', () => {
+      const commits = [{ type: 'feat', isBreaking: false, sha: 'feat1' }];
+
+      expect(calculateNextVersion(commits, '1.2.3', { channel: 'rc' })).toBe('1.3.0-rc.0');
+      expect(calculateNextVersion(commits, '1.2.3', { channel: 'rc', existingVersions: ['1.3.0-rc.0'] })).toBe(
+        '1.3.0-rc.1'
+      );
+    });
+
+    it('should not produce a pre-release when nothing is released', () => {
+      const commits = [{ type: 'docs', isBreaking: false, sha: 'docs1' }];
+
+      const result = calculateNextVersion(commits, '1.2.3', { channel: 'rc' });
+      expect(result).toBe('1.2.3');
+    });
+
+    it('should promote to the stable version without a channel', () => {
+      const commits = [{ type: 'feat', isBreaking: false, sha: 'feat1' }];
+
+      const result = calculateNextVersion(commits, '1.2.3', { existingVersions: ['1.3.0-rc.0', '1.3.0-rc.1'] });
+      expect(result).toBe('1.3.0');
+    });
+
+    it('should bump minor for breaking changes and patch for features during initial development', () => {
+      const config = { ...DEFAULT_CONFIG, initialDevelopment: true };
+      const breaking = [{ type: 'feat', isBreaking: true, sha: 'feat1' }];
+      const feature = [{ type: 'feat', isBreaking: false, sha: 'feat2' }];
+
+      expect(calculateNextVersion(breaking, '0.4.2', { config })).toBe('0.5.0');
+      expect(calculateNextVersion(feature, '0.4.2', { config })).toBe('0.4.3');
+      expect(calculateNextVersion(breaking, '1.4.2', { config })).toBe('2.0.0');
+      expect(calculateNextVersion(breaking, '0.4.2')).toBe('1.0.0');
+    });
+
+    it('should release an override version instead of the calculated one', () => {
+      const config = { ...DEFAULT_CONFIG, initialDevelopment: true };
+      const commits = [
+        { type: 'chore', isBreaking: false, sha: 'chore1', releaseAs: '1.0.0' },
+        { type: 'feat', isBreaking: true, sha: 'feat1' }
+      ];
+
+      expect(calculateNextVersion(commits, '0.4.2', { config, override: '1.0.0' })).toBe('1.0.0');
+      expect(calculateNextVersion(commits, '0.4.2', { config, override: '1.0.0', channel: 'rc' })).toBe('1.0.0-rc.0');
+      expect(calculateNextVersion([], '0.4.2', { override: '0.9.0' })).toBe('0.9.0');
+    });
   });
 
   describe('generateReleaseNotes', () => {
@@ -668,5 +689,652 @@ describe('GitHub Action - Semantic Version Release Functions', () => {
       );
       expect(result).toContain('-  (edge2)');
     });
+
+    it('should leave out changes reverted in the same release', () => {
+      const commits = [
+        {
+          type: 'revert',
+          scope: '',
+          description: 'feat: add thing',
+          isBreaking: false,
+          sha: 'revert1',
+          revert: { header: 'feat: add thing', shas: ['feat1'] }
+        },
+        { type: 'feat', scope: '', description: 'add thing', isBreaking: false, sha: 'feat1' }
+      ];
+
+      const result = generateReleaseNotes(commits, '1.0.0');
+
+      expect(result).not.toContain('add thing');
+      expect(result).toContain('No significant changes in this release.');
+    });
+
+    it('should leave out squash merged changes reverted through GitHub in the same release', () => {
+      const commits = [
+        parseCommit({ sha: 'bbbb2222', message: 'Revert "feat: add thing (#12)" (#15)\n\nReverts owner/repo#12' }),
+        parseCommit({ sha: 'aaaa1111', message: 'feat: add thing (#12)' })
+      ];
+
+      const result = generateReleaseNotes(commits, '1.0.0');
+
+      expect(result).not.toContain('add thing');
+      expect(result).toContain('No significant changes in this release.');
+    });
+
+    it('should list reverts of earlier releases in their own section', () => {
+      const commits = [
+        {
+          type: 'revert',
+          scope: '',
+          description: 'feat: old feature',
+          isBreaking: false,
+          sha: 'revert1',
+          revert: { header: 'feat: old feature', shas: ['old1'] }
+        }
+      ];
+
+      const result = generateReleaseNotes(commits, '1.0.1');
+
+      expect(result).toContain('## ⏪ Reverts');
+      expect(result).toContain('- feat: old feature (revert1)');
+    });
+
+    it('should render configured sections in order and skip hidden types', () => {
+      const config = {
+        ...DEFAULT_CONFIG,
+        types: [
+          { type: 'security', section: '🔒 Security', bump: 'patch', hidden: false },
+          { type: 'fix', section: 'Fixes', bump: 'patch', hidden: false },
+          { type: 'docs', section: 'Docs', bump: 'none', hidden: true }
+        ]
+      };
+      const commits = [
+        { type: 'fix', scope: '', description: 'fix bug', isBreaking: false, sha: 'fix1' },
+        { type: 'security', scope: '', description: 'rotate keys', isBreaking: false, sha: 'sec1' },
+        { type: 'docs', scope: '', description: 'update docs', isBreaking: false, sha: 'docs1' },
+        { type: 'docs', scope: '', description: 'drop v1 guide', isBreaking: true, sha: 'docs2' },
+        { type: 'feat', scope: '', description: 'unconfigured type', isBreaking: false, sha: 'feat1' }
+      ];
+
+      const result = generateReleaseNotes(commits, '2.0.0', config);
+
+      expect(result.indexOf('## 🔒 Security')).toBeLessThan(result.indexOf('## Fixes'));
+      expect(result).not.toContain('## Docs');
+      expect(result).not.toContain('update docs');
+      expect(result).toContain('- drop v1 guide (docs2)');
+      expect(result).toContain('## 🔧 Other Changes\n\n- unconfigured type (feat1)');
+    });
+  });
+
+  describe('determineNextVersion', () => {
+    const feat = { type: 'feat', isBreaking: false, sha: 'feat1' };
+
+    it('should release a bumped stable version', async () => {
+      const result = await determineNextVersion([feat], '1.0.0', {
+        channel: '',
+        versionTags: [],
+        config: DEFAULT_CONFIG,
+        getCommitsSince: jest.fn()
+      });
+
+      expect(result).toEqual({ nextVersion: '1.1.0', shouldRelease: true });
+    });
+
+    it('should not cut another pre-release without new commits', async () => {
+      const getCommitsSince = jest.fn().mockResolvedValue([]);
+
+      const result = await determineNextVersion([feat], '1.0.0', {
+        channel: 'rc',
+        versionTags: [{ tag: 'v1.1.0-rc.0', version: '1.1.0-rc.0' }],
+        config: DEFAULT_CONFIG,
+        getCommitsSince
+      });
+
+      expect(getCommitsSince).toHaveBeenCalledWith('v1.1.0-rc.0');
+      expect(result).toEqual({ nextVersion: '1.1.0-rc.0', shouldRelease: false });
+    });
+
+    it('should cut the next pre-release when there are new commits', async () => {
+      const result = await determineNextVersion([feat], '1.0.0', {
+        channel: 'rc',
+        versionTags: [{ tag: 'v1.1.0-rc.0', version: '1.1.0-rc.0' }],
+        config: DEFAULT_CONFIG,
+        getCommitsSince: jest.fn().mockResolvedValue([{ sha: 'new1', message: 'fix: more', author: 'A' }])
+      });
+
+      expect(result).toEqual({ nextVersion: '1.1.0-rc.1', shouldRelease: true });
+    });
+  });
+
+  describe('runMonorepo', () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      packages: [
+        { name: 'api', path: 'packages/api', tagPrefix: 'api-v', versionFiles: [], changelog: '' },
+        { name: 'web', path: 'packages/web', tagPrefix: 'web-v', versionFiles: [], changelog: '' }
+      ]
+    };
+
+    beforeEach(() => {
+      mockBackend.listTags = jest.fn().mockResolvedValue(['api-v1.0.0', 'web-v2.3.0', 'v9.9.9']);
+      mockBackend.getCommits.mockImplementation(async (baseRef) =>
+        baseRef === 'api-v1.0.0'
+          ? [
+              { sha: 'aaaa111', message: 'feat(api): add endpoint', author: 'A' },
+              { sha: 'bbbb222', message: 'fix(web): fix button', author: 'B' }
+            ]
+          : [{ sha: 'bbbb222', message: 'fix(web): fix button', author: 'B' }]
+      );
+      mockBackend.getCommitFiles = jest.fn(async (sha) =>
+        sha === 'aaaa111' ? ['packages/api/routes.js'] : ['packages/web/button.js']
+      );
+      mockBackend.createRelease = jest.fn(async ({ tagName }) => ({
+        id: 7,
+        url: `https://example.com/${tagName}`
+      }));
+    });
+
+    it('should version and release each package independently', async () => {
+      await runMonorepo(mockBackend, config, {
+        defaultVersion: '0.0.0',
+        channel: '',
+        isPrerelease: false,
+        isDraft: false,
+        dryRun: false,
+        headRef: 'HEAD'
+      });
+
+      expect(mockBackend.getCommits).toHaveBeenCalledWith('api-v1.0.0', 'HEAD');
+      expect(mockBackend.getCommits).toHaveBeenCalledWith('web-v2.3.0', 'HEAD');
+      expect(mockBackend.getCommitFiles).toHaveBeenCalledTimes(2);
+
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'packages',
+        JSON.stringify({
+          api: {
+            'current-version': '1.0.0',
+            'next-version': '1.1.0',
+            'should-release': true,
+            'bump-type': 'minor',
+            tag: 'api-v1.1.0',
+            'breaking-changes': ''
+          },
+          web: {
+            'current-version': '2.3.0',
+            'next-version': '2.3.1',
+            'should-release': true,
+            'bump-type': 'patch',
+            tag: 'web-v2.3.1',
+            'breaking-changes': ''
+          }
+        })
+      );
+      expect(core.setOutput).toHaveBeenCalledWith('should-release', true);
+
+      expect(mockBackend.createRelease).toHaveBeenCalledTimes(2);
+      expect(mockBackend.createRelease).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tagName: 'api-v1.1.0',
+          name: 'api-v1.1.0',
+          body: expect.stringContaining('add endpoint')
+        })
+      );
+      expect(mockBackend.createRelease.mock.calls[0][0].body).not.toContain('fix button');
+      expect(JSON.parse(core.setOutput.mock.calls.filter(([name]) => name === 'packages').pop()[1])).toMatchObject({
+        api: { 'release-id': 7, 'release-url': 'https://example.com/api-v1.1.0' },
+        web: { 'release-id': 7, 'release-url': 'https://example.com/web-v2.3.1' }
+      });
+    });
+
+    it('should skip packages that fail their pre-flight checks in skip mode', async () => {
+      // A concurrent run released the api package in the meantime
+      mockBackend.listTags
+        .mockResolvedValueOnce(['api-v1.0.0', 'web-v2.3.0'])
+        .mockResolvedValue(['api-v1.0.0', 'api-v1.1.0', 'web-v2.3.0']);
+
+      await runMonorepo(mockBackend, config, {
+        defaultVersion: '0.0.0',
+        channel: '',
+        isPrerelease: false,
+        isDraft: false,
+        dryRun: false,
+        headRef: 'HEAD',
+        preflightMode: 'skip'
+      });
+
+      expect(core.warning).toHaveBeenCalledWith('Skipping release of api-v1.1.0: tag api-v1.1.0 already exists');
+      expect(mockBackend.createRelease).toHaveBeenCalledTimes(1);
+      expect(mockBackend.createRelease).toHaveBeenCalledWith(expect.objectContaining({ tagName: 'web-v2.3.1' }));
+      expect(JSON.parse(core.setOutput.mock.calls.filter(([name]) => name === 'packages').pop()[1])).toMatchObject({
+        api: { 'should-release': false },
+        web: { 'should-release': true }
+      });
+    });
+
+    it('should honour Release-As footers per package and note them in the summary', async () => {
+      mockBackend.getCommits.mockResolvedValue([
+        { sha: 'bbbb222', message: 'fix(web): fix button\n\nRelease-As: 3.0.0', author: 'B' }
+      ]);
+
+      await runMonorepo(mockBackend, config, {
+        defaultVersion: '0.0.0',
+        channel: '',
+        isPrerelease: false,
+        isDraft: false,
+        dryRun: true,
+        headRef: 'HEAD'
+      });
+
+      const packages = JSON.parse(core.setOutput.mock.calls.filter(([name]) => name === 'packages').pop()[1]);
+      expect(packages.api['next-version']).toBe('1.0.0');
+      expect(packages.web['next-version']).toBe('3.0.0');
+      expect(core.summary.addRaw).toHaveBeenCalledWith(
+        '\n**web override:** `3.0.0` from the Release-As footer in bbbb222\n'
+      );
+    });
+
+    it('should preview the packages on a pull request instead of releasing them', async () => {
+      mockBackend.commentOnPullRequest = jest.fn().mockResolvedValue({ id: 1, url: 'comment-url' });
+
+      await runMonorepo(mockBackend, config, {
+        defaultVersion: '0.0.0',
+        channel: '',
+        isPrerelease: false,
+        isDraft: false,
+        dryRun: false,
+        headRef: 'HEAD',
+        pullRequest: { number: 7 }
+      });
+
+      expect(mockBackend.commentOnPullRequest).toHaveBeenCalledWith(7, {
+        marker: '<!-- semver-release-preview -->',
+        body: expect.stringContaining('| api | 1.0.0 | 1.1.0 | ✅ |')
+      });
+      expect(mockBackend.createRelease).not.toHaveBeenCalled();
+    });
+
+    it('should not create releases in dry run mode', async () => {
+      await runMonorepo(mockBackend, config, {
+        defaultVersion: '0.0.0',
+        channel: '',
+        isPrerelease: false,
+        isDraft: false,
+        dryRun: true,
+        headRef: 'HEAD'
+      });
+
+      expect(mockBackend.createRelease).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('prepareReleaseFiles', () => {
+    afterEach(() => {
+      mock.restore();
+    });
+
+    it('should bump version files and prepend the changelog entry', () => {
+      mock({
+        '/repo/package.json': '{\n  "version": "1.0.0"\n}\n',
+        '/repo/CHANGELOG.md': '# Changelog\n\n## 1.0.0\n\n- initial\n'
+      });
+
+      const files = prepareReleaseFiles(
+        '/repo',
+        { versionFiles: [{ path: 'package.json', jsonPath: 'version' }], changelog: 'CHANGELOG.md' },
+        { version: '1.1.0', changelogEntry: '## 1.1.0\n\n- new\n' }
+      );
+
+      expect(files).toEqual([
+        { path: 'package.json', content: '{\n  "version": "1.1.0"\n}\n' },
+        { path: 'CHANGELOG.md', content: '# Changelog\n\n## 1.1.0\n\n- new\n\n## 1.0.0\n\n- initial\n' }
+      ]);
+    });
+
+    it('should not return files that are already up to date', () => {
+      mock({ '/repo/CHANGELOG.md': '# Changelog\n\n## 1.1.0\n\n- new\n' });
+
+      const files = prepareReleaseFiles(
+        '/repo',
+        { versionFiles: [], changelog: 'CHANGELOG.md' },
+        { version: '1.1.0', changelogEntry: '## 1.1.0\n\n- new\n' }
+      );
+
+      expect(files).toEqual([]);
+    });
+  });
+
+  describe('buildChangelogEntries', () => {
+    it('should build an entry per stable tag, newest first', async () => {
+      mockBackend.listTags = jest.fn().mockResolvedValue(['v1.1.0', 'v1.0.0', 'v1.1.0-rc.0', 'nightly']);
+      mockBackend.getCommits.mockImplementation(async (baseRef) =>
+        baseRef === 'v1.0.0'
+          ? [{ sha: 'bbbb222', message: 'feat: second', author: 'B', date: '2024-02-01T00:00:00Z' }]
+          : [{ sha: 'aaaa111', message: 'feat: first', author: 'A', date: '2024-01-01T00:00:00Z' }]
+      );
+
+      const entries = await buildChangelogEntries(mockBackend, DEFAULT_CONFIG, 'https://github.com/owner/repo');
+
+      expect(mockBackend.getCommits).toHaveBeenCalledWith(null, 'v1.0.0');
+      expect(mockBackend.getCommits).toHaveBeenCalledWith('v1.0.0', 'v1.1.0');
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatch(
+        /^## \[1\.1\.0\]\(https:\/\/github\.com\/owner\/repo\/compare\/v1\.0\.0\.\.\.v1\.1\.0\) - 2024-02-01/
+      );
+      expect(entries[0]).toContain('- second ([bbbb222](https://github.com/owner/repo/commit/bbbb222))');
+      expect(entries[1]).toMatch(/^## 1\.0\.0 - 2024-01-01/);
+      expect(mockBackend.getPullRequests).not.toHaveBeenCalled();
+      expect(mockBackend.hasCommitsBefore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishRelease', () => {
+    const release = { tagName: 'v1.1.0', targetRef: 'abc1234', name: 'v1.1.0', body: 'notes' };
+
+    beforeEach(() => {
+      mockBackend.createRelease = jest.fn().mockResolvedValue({ id: 7, url: 'https://example.com/v1.1.0' });
+      mockBackend.uploadReleaseAsset = jest.fn().mockResolvedValue('https://example.com/app.zip');
+    });
+
+    it('should create the release without assets', async () => {
+      await expect(publishRelease(mockBackend, release)).resolves.toEqual({ id: 7, url: 'https://example.com/v1.1.0' });
+      expect(mockBackend.uploadReleaseAsset).not.toHaveBeenCalled();
+    });
+
+    it('should update the draft of the upcoming release instead of creating another', async () => {
+      mockBackend.listDraftReleases = jest.fn().mockResolvedValue([{ id: 3, tagName: 'v1.0.1', url: 'draft-url' }]);
+      mockBackend.updateRelease = jest.fn().mockResolvedValue({ id: 3, url: 'https://example.com/v1.1.0' });
+
+      const result = await publishRelease(mockBackend, release, { version: '1.1.0', reuseDraft: true });
+
+      expect(mockBackend.updateRelease).toHaveBeenCalledWith(3, release);
+      expect(mockBackend.createRelease).not.toHaveBeenCalled();
+      expect(result).toEqual({ id: 3, url: 'https://example.com/v1.1.0' });
+    });
+
+    it('should upload the matching assets to the new release', async () => {
+      mock({ '/work/dist/app.zip': 'zip' });
+
+      await publishRelease(mockBackend, release, { workspace: '/work', assets: ['dist/*.zip'], checksums: true });
+      mock.restore();
+
+      expect(mockBackend.createRelease).toHaveBeenCalledWith(release);
+      expect(mockBackend.uploadReleaseAsset).toHaveBeenCalledWith(
+        7,
+        expect.objectContaining({ name: 'app.zip', contentType: 'application/zip' })
+      );
+      expect(mockBackend.uploadReleaseAsset).toHaveBeenCalledWith(7, expect.objectContaining({ name: 'SHA256SUMS' }));
+    });
+  });
+
+  describe('commitReleaseFiles', () => {
+    beforeEach(() => {
+      mockBackend.commitFiles = jest.fn().mockResolvedValue('def5678');
+    });
+
+    it('should keep the analysed commit when there is nothing to commit', async () => {
+      const result = await commitReleaseFiles(mockBackend, [], {
+        message: 'chore(release): v1.1.0',
+        branch: 'main',
+        headRef: 'abc1234'
+      });
+
+      expect(result).toBe('abc1234');
+      expect(mockBackend.commitFiles).not.toHaveBeenCalled();
+    });
+
+    it('should commit the files on top of head', async () => {
+      const files = [{ path: 'package.json', content: '{}' }];
+
+      const result = await commitReleaseFiles(mockBackend, files, {
+        message: 'chore(release): v1.1.0',
+        branch: 'main',
+        headRef: 'abc1234'
+      });
+
+      expect(mockBackend.commitFiles).toHaveBeenCalledWith({
+        branch: 'main',
+        parentRef: 'abc1234',
+        message: 'chore(release): v1.1.0',
+        files
+      });
+      expect(result).toBe('def5678');
+    });
+
+    it('should refuse to commit outside of a branch', async () => {
+      await expect(
+        commitReleaseFiles(mockBackend, [{ path: 'package.json', content: '{}' }], {
+          message: 'chore(release): v1.1.0',
+          branch: '',
+          headRef: 'abc1234'
+        })
+      ).rejects.toThrow('Release files can only be committed when running on a branch');
+    });
+  });
+
+  describe('run', () => {
+    let inputs;
+
+    beforeEach(() => {
+      inputs = { 'github-token': 'token' };
+      core.getInput.mockImplementation((name) => inputs[name] || '');
+      core.getMultilineInput.mockImplementation((name) => (inputs[name] ? inputs[name].split('\n') : []));
+      Object.assign(github.context, {
+        sha: 'head123',
+        ref: 'refs/heads/main',
+        payload: {},
+        repo: { owner: 'owner', repo: 'repo' },
+        serverUrl: 'https://github.com'
+      });
+
+      Object.assign(mockBackend, {
+        name: 'github',
+        getLatestRelease: jest.fn().mockResolvedValue({ currentReleaseRef: 'v1.0.0', currentReleaseTag: '1.0.0' }),
+        listTags: jest.fn().mockResolvedValue(['v1.0.0']),
+        getBranchHead: jest.fn().mockResolvedValue('head123'),
+        commitFiles: jest.fn().mockResolvedValue('release123'),
+        openPullRequest: jest.fn().mockResolvedValue({ number: 8, url: 'https://github.com/owner/repo/pull/8' }),
+        commentOnPullRequest: jest.fn().mockResolvedValue({ id: 1, url: 'comment-url' }),
+        createRelease: jest.fn().mockResolvedValue({ id: 5, url: 'https://github.com/owner/repo/releases/v1.1.0' }),
+        listDraftReleases: jest.fn().mockResolvedValue([]),
+        updateRelease: jest.fn().mockResolvedValue({ id: 3, url: 'https://github.com/owner/repo/releases/v1.1.0' })
+      });
+      mockBackend.getCommits.mockResolvedValue([
+        { sha: 'aaaa1111', message: 'feat: add thing', author: 'Jane', login: 'jane' }
+      ]);
+      createBackend.mockReturnValue(mockBackend);
+
+      process.env.GITHUB_WORKSPACE = '/repo';
+      mock({
+        '/repo/.semver-release.yml': 'version-files:\n  - path: package.json\n    json-path: version\n',
+        '/repo/package.json': '{ "version": "1.0.0" }\n'
+      });
+    });
+
+    afterEach(() => {
+      mock.restore();
+      delete process.env.GITHUB_WORKSPACE;
+    });
+
+    describe('with release-pr', () => {
+      beforeEach(() => {
+        inputs['release-pr'] = 'true';
+      });
+
+      it('should open the release PR with the release files instead of releasing', async () => {
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockBackend.commitFiles).toHaveBeenCalledWith({
+          branch: 'semver-release/main',
+          parentRef: 'head123',
+          message: 'chore(release): v1.1.0',
+          files: [{ path: 'package.json', content: expect.stringContaining('"version": "1.1.0"') }],
+          force: true
+        });
+        expect(mockBackend.openPullRequest).toHaveBeenCalledWith(
+          expect.objectContaining({ head: 'semver-release/main', base: 'main', title: 'chore(release): v1.1.0' })
+        );
+        expect(core.setOutput).toHaveBeenCalledWith('release-pr', 8);
+        expect(mockBackend.createRelease).not.toHaveBeenCalled();
+      });
+
+      it('should release the merged release PR without committing again', async () => {
+        mockBackend.getPullRequests.mockImplementation(async (sha) =>
+          sha === 'head123' ? [{ number: 8, branch: 'semver-release/main', author: 'bot', labels: [] }] : []
+        );
+        mockBackend.getCommits.mockResolvedValue([
+          { sha: 'cccc3333', message: 'chore(release): v1.1.0', author: 'bot' },
+          { sha: 'aaaa1111', message: 'feat: add thing', author: 'Jane' }
+        ]);
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockBackend.commitFiles).not.toHaveBeenCalled();
+        expect(mockBackend.openPullRequest).not.toHaveBeenCalled();
+        expect(mockBackend.createRelease).toHaveBeenCalledWith(
+          expect.objectContaining({ tagName: 'v1.1.0', targetRef: 'head123', draft: false })
+        );
+        expect(core.setOutput).toHaveBeenCalledWith('release-id', 5);
+      });
+    });
+
+    describe('with drafts', () => {
+      const draft = { id: 3, tagName: 'v1.0.1', url: 'https://github.com/owner/repo/releases/tag/untagged-1' };
+
+      it('should create a draft without committing the version files', async () => {
+        inputs.draft = 'true';
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockBackend.commitFiles).not.toHaveBeenCalled();
+        expect(mockBackend.createRelease).toHaveBeenCalledWith(
+          expect.objectContaining({ tagName: 'v1.1.0', targetRef: 'head123', draft: true })
+        );
+      });
+
+      it('should update the draft of the upcoming release in place', async () => {
+        inputs.draft = 'true';
+        mockBackend.listDraftReleases.mockResolvedValue([draft]);
+
+        await run();
+
+        expect(mockBackend.updateRelease).toHaveBeenCalledWith(
+          3,
+          expect.objectContaining({ tagName: 'v1.1.0', draft: true })
+        );
+        expect(mockBackend.createRelease).not.toHaveBeenCalled();
+      });
+
+      it('should publish the draft with publish-draft once the version files are committed', async () => {
+        inputs['publish-draft'] = 'true';
+        mockBackend.listDraftReleases.mockResolvedValue([draft]);
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockBackend.commitFiles).toHaveBeenCalledWith(
+          expect.objectContaining({ branch: 'main', parentRef: 'head123', message: 'chore(release): v1.1.0' })
+        );
+        expect(mockBackend.updateRelease).toHaveBeenCalledWith(
+          3,
+          expect.objectContaining({ tagName: 'v1.1.0', targetRef: 'release123', draft: false })
+        );
+        expect(mockBackend.createRelease).not.toHaveBeenCalled();
+        expect(core.setOutput).toHaveBeenCalledWith('release-id', 3);
+      });
+
+      it('should reject draft together with publish-draft', async () => {
+        inputs.draft = 'true';
+        inputs['publish-draft'] = 'true';
+
+        await run();
+
+        expect(core.setFailed).toHaveBeenCalledWith(
+          'Action failed with error: draft and publish-draft cannot be used together'
+        );
+        expect(createBackend).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('on pull requests', () => {
+      const pullRequest = {
+        number: 12,
+        title: 'feat: add thing',
+        base: { sha: 'base123', ref: 'main' },
+        head: { sha: 'pr123' }
+      };
+
+      beforeEach(() => {
+        Object.assign(github.context, { ref: 'refs/pull/12/merge', payload: { pull_request: pullRequest } });
+        inputs['preview-comment'] = 'true';
+        inputs['lint-commits'] = 'fail';
+
+        // The release range also holds an older commit that breaks the rules, which is not the pull request's fault
+        mockBackend.getCommits.mockImplementation(async (baseRef) =>
+          baseRef === 'base123'
+            ? [{ sha: 'aaaa1111', message: 'feat: add thing', author: 'Jane' }]
+            : [
+                { sha: 'aaaa1111', message: 'feat: add thing', author: 'Jane' },
+                { sha: 'bbbb2222', message: 'Update readme', author: 'John' }
+              ]
+        );
+      });
+
+      it('should only check the commits of the pull request when previewing', async () => {
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.error).not.toHaveBeenCalled();
+        expect(mockBackend.commentOnPullRequest).toHaveBeenCalledWith(
+          12,
+          expect.objectContaining({ body: expect.stringContaining('releases **v1.1.0**') })
+        );
+        expect(mockBackend.createRelease).not.toHaveBeenCalled();
+      });
+
+      it('should preview the channel and release line of the base branch', async () => {
+        inputs['lint-commits'] = '';
+        inputs['prerelease-branches'] = 'next:beta';
+        inputs['maintenance-branches'] = 'release/1.x';
+        Object.assign(github.context, {
+          payload: { pull_request: { ...pullRequest, base: { sha: 'base123', ref: 'release/1.x' } } }
+        });
+
+        await run();
+
+        expect(mockBackend.getLatestRelease).toHaveBeenCalledWith(
+          '0.0.0',
+          'head123',
+          expect.objectContaining({ range: '1.x' })
+        );
+        expect(core.summary.addRaw).toHaveBeenCalledWith('**Maintenance:** `1.x` from `release/1.x`\n\n');
+
+        Object.assign(github.context, {
+          payload: { pull_request: { ...pullRequest, base: { sha: 'base123', ref: 'next' } } }
+        });
+        await run();
+
+        expect(mockBackend.commentOnPullRequest).toHaveBeenCalledWith(
+          12,
+          expect.objectContaining({ body: expect.stringContaining('releases **v1.1.0-beta.0**') })
+        );
+      });
+
+      it('should only check the commits of the pull request when previewing packages', async () => {
+        mock({ '/repo/.semver-release.yml': 'packages:\n  - name: api\n    path: packages/api\n' });
+        mockBackend.getCommitFiles = jest.fn().mockResolvedValue(['packages/api/index.js']);
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(core.error).not.toHaveBeenCalled();
+        expect(mockBackend.commentOnPullRequest).toHaveBeenCalledWith(
+          12,
+          expect.objectContaining({ body: expect.stringContaining('| api | 0.0.0 | 0.1.0 | ✅ |') })
+        );
+      });
+    });
   });
 });
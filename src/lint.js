@@ -0,0 +1,89 @@
+import * as core from '@actions/core';
+import { parseCommit } from './commits.js';
+
+const LINT_MODES = ['off', 'warn', 'fail'];
+
+// Merge commits are written by git or GitHub rather than by the author, e.g. "Merge pull request #12 from fork/main"
+const MERGE_REGEX = /^Merge (pull request|branch|remote-tracking branch) /;
+
+// Reverts written by git or GitHub's revert button, e.g. Revert "feat: add thing", whose header was checked when the
+// reverted commit landed
+const GIT_REVERT_REGEX = /^Revert "/;
+
+function findLintProblems(commit, config) {
+  const header = commit.fullMessage.split('\n')[0];
+  if (commit.revert && GIT_REVERT_REGEX.test(header)) {
+    return [];
+  }
+  if (commit.type === 'other') {
+    return [`"${header}" is not a conventional commit header like "<type>[(scope)][!]: <description>"`];
+  }
+
+  // The parser lowercases the type to pick the bump, the check holds the header to the exact spelling
+  const [headerType] = header.match(/^[\w-]+/);
+  const problems = [];
+  const types = config.lint.types.length > 0 ? config.lint.types : config.types.map(({ type }) => type);
+  if (!types.includes(headerType)) {
+    problems.push(`type "${headerType}" is not one of: ${types.join(', ')}`);
+  }
+
+  const { scopes } = config.lint;
+  if (commit.scope && scopes.length > 0 && !scopes.includes(commit.scope)) {
+    problems.push(`scope "${commit.scope}" is not one of: ${scopes.join(', ')}`);
+  }
+
+  const { maxSubjectLength, subjectCase } = config.lint;
+  if (maxSubjectLength > 0 && commit.description.length > maxSubjectLength) {
+    problems.push(`subject is ${commit.description.length} characters long, the limit is ${maxSubjectLength}`);
+  }
+
+  const first = commit.description.charAt(0);
+  if (subjectCase === 'lower' && first !== first.toLowerCase()) {
+    problems.push('subject must start with a lowercase letter');
+  } else if (subjectCase === 'upper' && first !== first.toUpperCase()) {
+    problems.push('subject must start with an uppercase letter');
+  }
+
+  return problems;
+}
+
+function lintCommits(parsedCommits, config) {
+  return parsedCommits
+    .filter((commit) => !MERGE_REGEX.test(commit.fullMessage))
+    .map((commit) => ({
+      subject: `Commit ${commit.sha} "${commit.fullMessage.split('\n')[0]}"`,
+      problems: findLintProblems(commit, config)
+    }))
+    .filter(({ problems }) => problems.length > 0);
+}
+
+// A pull request title becomes the header of the commit when the pull request is squash merged
+function lintTitle(title, config) {
+  const problems = findLintProblems(parseCommit({ sha: '', message: title }), config);
+  return problems.length > 0 ? [{ subject: `Pull request title "${title}"`, problems }] : [];
+}
+
+async function lintPullRequest(backend, pullRequest, config) {
+  const results = config.lint.pullRequest === 'commits' ? [] : lintTitle(pullRequest.title, config);
+  if (config.lint.pullRequest !== 'title') {
+    const commits = await backend.getCommits(pullRequest.base.sha, pullRequest.head.sha);
+    results.push(...lintCommits(commits.map(parseCommit), config));
+  }
+  return results;
+}
+
+// Annotates every offending commit, and throws in "fail" mode once all of them have been reported
+function reportLintResults(results, mode) {
+  const annotate = mode === 'fail' ? core.error : core.warning;
+  for (const { subject, problems } of results) {
+    annotate(`${subject}: ${problems.join('; ')}`, { title: 'Commit message check' });
+  }
+
+  if (results.length === 0) {
+    core.info('All commit messages follow the commit rules');
+  } else if (mode === 'fail') {
+    throw new Error(`${results.length} commit message(s) do not follow the commit rules`);
+  }
+}
+
+export { LINT_MODES, findLintProblems, lintCommits, lintTitle, lintPullRequest, reportLintResults };
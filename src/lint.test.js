@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { parseCommit } = await import('./commits.js');
+const { DEFAULT_CONFIG } = await import('./config.js');
+const { findLintProblems, lintCommits, lintTitle, lintPullRequest, reportLintResults } = await import('./lint.js');
+
+const commit = (message, sha = 'abc1234def') => parseCommit({ sha, message, author: 'Jane' });
+
+describe('Commit message checks', () => {
+  const config = {
+    ...DEFAULT_CONFIG,
+    lint: { ...DEFAULT_CONFIG.lint, scopes: ['api', 'web'], maxSubjectLength: 20, subjectCase: 'lower' }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findLintProblems', () => {
+    it('should accept a conforming commit', () => {
+      expect(findLintProblems(commit('feat(api): add endpoint'), config)).toEqual([]);
+    });
+
+    it('should reject headers that are not conventional', () => {
+      expect(findLintProblems(commit('fix : add endpoint'), config)).toEqual([
+        '"fix : add endpoint" is not a conventional commit header like "<type>[(scope)][!]: <description>"'
+      ]);
+    });
+
+    it('should check the type, scope, subject length and case', () => {
+      expect(findLintProblems(commit('feature(db): Add a much longer subject'), config)).toEqual([
+        `type "feature" is not one of: ${DEFAULT_CONFIG.types.map(({ type }) => type).join(', ')}`,
+        'scope "db" is not one of: api, web',
+        'subject is 25 characters long, the limit is 20',
+        'subject must start with a lowercase letter'
+      ]);
+    });
+
+    it('should prefer the lint types over the configured types', () => {
+      const lintConfig = { ...config, lint: { ...config.lint, types: ['feat'] } };
+
+      expect(findLintProblems(commit('fix: crash'), lintConfig)).toEqual(['type "fix" is not one of: feat']);
+    });
+
+    it('should compare the type as written in the header', () => {
+      expect(findLintProblems(commit('Feat: add x'), config)).toEqual([
+        `type "Feat" is not one of: ${config.types.map(({ type }) => type).join(', ')}`
+      ]);
+    });
+
+    it('should require an uppercase subject when asked to', () => {
+      const lintConfig = { ...config, lint: { ...config.lint, subjectCase: 'upper' } };
+
+      expect(findLintProblems(commit('fix: crash'), lintConfig)).toEqual([
+        'subject must start with an uppercase letter'
+      ]);
+      expect(findLintProblems(commit('fix: 404 page'), lintConfig)).toEqual([]);
+    });
+  });
+
+  describe('lintCommits', () => {
+    it('should report the offending commits and skip merge commits', () => {
+      const results = lintCommits(
+        [
+          commit('feat: add thing'),
+          commit('update readme', 'bbbbbbb222'),
+          commit('Merge pull request #12 from fork/main\n\nfeat: add thing')
+        ],
+        config
+      );
+
+      expect(results).toEqual([
+        {
+          subject: 'Commit bbbbbbb "update readme"',
+          problems: ['"update readme" is not a conventional commit header like "<type>[(scope)][!]: <description>"']
+        }
+      ]);
+    });
+
+    it('should accept reverts written by git', () => {
+      const results = lintCommits(
+        [commit('Revert "feat: add thing"\n\nThis reverts commit abc1234def.'), commit('revert: add thing')],
+        config
+      );
+
+      expect(results).toEqual([]);
+    });
+  });
+
+  describe('lintTitle', () => {
+    it('should check a pull request title as a commit header', () => {
+      expect(lintTitle('feat(api): add endpoint', config)).toEqual([]);
+      expect(lintTitle('Add endpoint', config)).toEqual([
+        {
+          subject: 'Pull request title "Add endpoint"',
+          problems: ['"Add endpoint" is not a conventional commit header like "<type>[(scope)][!]: <description>"']
+        }
+      ]);
+    });
+
+    it('should accept titles written by the revert button of GitHub', () => {
+      expect(lintTitle('Revert "feat(api): add endpoint"', config)).toEqual([]);
+    });
+  });
+
+  describe('lintPullRequest', () => {
+    const pullRequest = { title: 'WIP', base: { sha: 'base123' }, head: { sha: 'head456' } };
+    let backend;
+
+    beforeEach(() => {
+      backend = {
+        getCommits: jest.fn().mockResolvedValue([{ sha: 'ccccccc333', message: 'oops', author: 'Jane' }])
+      };
+    });
+
+    it('should check the commits of the pull request by default', async () => {
+      const results = await lintPullRequest(backend, pullRequest, config);
+
+      expect(backend.getCommits).toHaveBeenCalledWith('base123', 'head456');
+      expect(results.map(({ subject }) => subject)).toEqual(['Commit ccccccc "oops"']);
+    });
+
+    it('should check the title and commits when asked to', async () => {
+      const lintConfig = { ...config, lint: { ...config.lint, pullRequest: 'both' } };
+
+      const results = await lintPullRequest(backend, pullRequest, lintConfig);
+      expect(results.map(({ subject }) => subject)).toEqual(['Pull request title "WIP"', 'Commit ccccccc "oops"']);
+    });
+
+    it('should only check the title for squash merges', async () => {
+      const lintConfig = { ...config, lint: { ...config.lint, pullRequest: 'title' } };
+
+      const results = await lintPullRequest(backend, pullRequest, lintConfig);
+      expect(results.map(({ subject }) => subject)).toEqual(['Pull request title "WIP"']);
+      expect(backend.getCommits).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reportLintResults', () => {
+    const results = [
+      { subject: 'Commit aaaaaaa "oops"', problems: ['a', 'b'] },
+      { subject: 'Commit bbbbbbb "wip"', problems: ['c'] }
+    ];
+
+    it('should warn about every offending commit', () => {
+      reportLintResults(results, 'warn');
+
+      expect(core.warning).toHaveBeenCalledWith('Commit aaaaaaa "oops": a; b', { title: 'Commit message check' });
+      expect(core.warning).toHaveBeenCalledTimes(2);
+    });
+
+    it('should annotate errors and fail once everything is reported', () => {
+      expect(() => reportLintResults(results, 'fail')).toThrow('2 commit message(s) do not follow the commit rules');
+      expect(core.error).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not fail without problems', () => {
+      expect(() => reportLintResults([], 'fail')).not.toThrow();
+      expect(core.info).toHaveBeenCalledWith('All commit messages follow the commit rules');
+    });
+  });
+});
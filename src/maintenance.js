@@ -0,0 +1,39 @@
+import semver from 'semver';
+import { branchMatches } from './prerelease.js';
+
+// The last segment of a maintenance branch names its release line, e.g. release/1.x or 2.3.x
+const RELEASE_LINE_REGEX = /(?:^|\/)v?(\d+)\.(?:(\d+)\.)?x$/;
+
+function parseMaintenanceBranches(lines) {
+  return lines.map((line) => line.trim()).filter((line) => line.length > 0);
+}
+
+// Resolves to the semver range a maintenance branch releases into, or '' on any other branch
+function resolveMaintenanceRange(branch, patterns) {
+  if (!branch || !patterns.some((pattern) => branchMatches(pattern, branch))) {
+    return '';
+  }
+
+  const match = branch.match(RELEASE_LINE_REGEX);
+  if (!match) {
+    throw new Error(`Maintenance branch ${branch} must end in a release line like 1.x or 1.2.x`);
+  }
+  const [, major, minor] = match;
+  return minor === undefined ? `${major}.x` : `${major}.${minor}.x`;
+}
+
+// Pre-releases count as part of their line, so that 1.3.0-rc.0 belongs to 1.x
+function isInRange(version, range) {
+  return !range || semver.satisfies(version, range, { includePrerelease: true });
+}
+
+function assertInRange(version, range, branch) {
+  if (!isInRange(version, range)) {
+    throw new Error(
+      `Version ${version} is outside the ${range} range of maintenance branch ${branch}, ` +
+        'release it from a newer branch instead'
+    );
+  }
+}
+
+export { parseMaintenanceBranches, resolveMaintenanceRange, isInRange, assertInRange };
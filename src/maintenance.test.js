@@ -0,0 +1,55 @@
+const { parseMaintenanceBranches, resolveMaintenanceRange, isInRange, assertInRange } =
+  await import('./maintenance.js');
+
+describe('Maintenance branches', () => {
+  describe('parseMaintenanceBranches', () => {
+    it('should drop blank lines and surrounding whitespace', () => {
+      expect(parseMaintenanceBranches(['release/*.x', '', '  *.x  '])).toEqual(['release/*.x', '*.x']);
+    });
+  });
+
+  describe('resolveMaintenanceRange', () => {
+    const patterns = ['release/*', '*.x'];
+
+    it('should read major and minor release lines from the branch name', () => {
+      expect(resolveMaintenanceRange('release/1.x', patterns)).toBe('1.x');
+      expect(resolveMaintenanceRange('release/v2.3.x', patterns)).toBe('2.3.x');
+      expect(resolveMaintenanceRange('4.x', patterns)).toBe('4.x');
+    });
+
+    it('should return an empty range for other branches', () => {
+      expect(resolveMaintenanceRange('main', patterns)).toBe('');
+      expect(resolveMaintenanceRange('', patterns)).toBe('');
+      expect(resolveMaintenanceRange('release/1.x', [])).toBe('');
+    });
+
+    it('should reject maintenance branches without a release line', () => {
+      expect(() => resolveMaintenanceRange('release/next', patterns)).toThrow(
+        'Maintenance branch release/next must end in a release line like 1.x or 1.2.x'
+      );
+    });
+  });
+
+  describe('isInRange', () => {
+    it('should match versions of the release line, including pre-releases', () => {
+      expect(isInRange('1.9.0', '1.x')).toBe(true);
+      expect(isInRange('1.3.0-rc.0', '1.x')).toBe(true);
+      expect(isInRange('2.0.0', '1.x')).toBe(false);
+      expect(isInRange('2.3.4', '2.3.x')).toBe(true);
+      expect(isInRange('2.4.0', '2.3.x')).toBe(false);
+    });
+
+    it('should match every version without a range', () => {
+      expect(isInRange('9.0.0', '')).toBe(true);
+    });
+  });
+
+  describe('assertInRange', () => {
+    it('should refuse versions that leave the release line', () => {
+      expect(() => assertInRange('1.3.0', '1.2.x', 'release/1.2.x')).toThrow(
+        'Version 1.3.0 is outside the 1.2.x range of maintenance branch release/1.2.x, release it from a newer branch instead'
+      );
+      expect(() => assertInRange('1.2.4', '1.2.x', 'release/1.2.x')).not.toThrow();
+    });
+  });
+});
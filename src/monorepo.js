@@ -0,0 +1,49 @@
+import semver from 'semver';
+import { getHighestVersionTag, getVersionTags } from './tag-format.js';
+
+function getPackageTagFormat(tagPrefix) {
+  return `${tagPrefix}{version}`;
+}
+
+function getPackageVersionTags(tags, tagPrefix) {
+  return getVersionTags(tags, getPackageTagFormat(tagPrefix));
+}
+
+function getLatestPackageRelease(versionTags, defaultVersion) {
+  // Pre-releases never count as the current version of a package
+  const latest = getHighestVersionTag(versionTags.filter(({ version }) => semver.prerelease(version) === null));
+  if (!latest) {
+    return {
+      currentReleaseRef: null,
+      currentReleaseTag: defaultVersion
+    };
+  }
+
+  return {
+    currentReleaseRef: latest.tag,
+    currentReleaseTag: latest.version
+  };
+}
+
+function isInPackage(file, packagePath) {
+  return packagePath === '.' || file === packagePath || file.startsWith(`${packagePath}/`);
+}
+
+async function filterCommitsByPath(backend, parsedCommits, packagePath, fileCache) {
+  const packageCommits = [];
+  for (const commit of parsedCommits) {
+    const sha = commit.fullSha || commit.sha;
+
+    // Packages share most of their commits, so only look up the changed files once per commit
+    if (!fileCache.has(sha)) {
+      fileCache.set(sha, await backend.getCommitFiles(sha));
+    }
+
+    if (fileCache.get(sha).some((file) => isInPackage(file, packagePath))) {
+      packageCommits.push(commit);
+    }
+  }
+  return packageCommits;
+}
+
+export { getPackageTagFormat, getPackageVersionTags, getLatestPackageRelease, isInPackage, filterCommitsByPath };
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+
+const { getPackageVersionTags, getLatestPackageRelease, isInPackage, filterCommitsByPath } =
+  await import('./monorepo.js');
+
+describe('Monorepo packages', () => {
+  describe('getPackageVersionTags', () => {
+    it('should only keep semver tags with the package prefix', () => {
+      const tags = ['api-v1.0.0', 'api-v1.1.0-rc.0', 'web-v2.0.0', 'v3.0.0', 'api-vnext'];
+
+      expect(getPackageVersionTags(tags, 'api-v')).toEqual([
+        { tag: 'api-v1.0.0', version: '1.0.0' },
+        { tag: 'api-v1.1.0-rc.0', version: '1.1.0-rc.0' }
+      ]);
+    });
+  });
+
+  describe('getLatestPackageRelease', () => {
+    it('should pick the highest stable version', () => {
+      const versionTags = [
+        { tag: 'api-v1.2.0', version: '1.2.0' },
+        { tag: 'api-v1.10.0', version: '1.10.0' },
+        { tag: 'api-v2.0.0-rc.0', version: '2.0.0-rc.0' }
+      ];
+
+      expect(getLatestPackageRelease(versionTags, '0.0.0')).toEqual({
+        currentReleaseRef: 'api-v1.10.0',
+        currentReleaseTag: '1.10.0'
+      });
+    });
+
+    it('should fall back to the default version', () => {
+      expect(getLatestPackageRelease([], '0.1.0')).toEqual({
+        currentReleaseRef: null,
+        currentReleaseTag: '0.1.0'
+      });
+    });
+  });
+
+  describe('isInPackage', () => {
+    it('should match files below the package path', () => {
+      expect(isInPackage('packages/api/src/index.js', 'packages/api')).toBe(true);
+      expect(isInPackage('packages/api', 'packages/api')).toBe(true);
+      expect(isInPackage('packages/api-client/index.js', 'packages/api')).toBe(false);
+      expect(isInPackage('README.md', '.')).toBe(true);
+    });
+  });
+
+  describe('filterCommitsByPath', () => {
+    it('should keep commits that changed files in the package and cache lookups', async () => {
+      const backend = {
+        getCommitFiles: jest.fn(async (sha) =>
+          sha === 'aaaa' ? ['packages/api/index.js', 'packages/web/index.js'] : ['packages/web/app.js']
+        )
+      };
+      const commits = [
+        { sha: 'aaa', fullSha: 'aaaa' },
+        { sha: 'bbb', fullSha: 'bbbb' }
+      ];
+      const fileCache = new Map();
+
+      await expect(filterCommitsByPath(backend, commits, 'packages/api', fileCache)).resolves.toEqual([commits[0]]);
+      await expect(filterCommitsByPath(backend, commits, 'packages/web', fileCache)).resolves.toEqual(commits);
+      expect(backend.getCommitFiles).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,329 @@
+import fs from 'fs';
+import Handlebars from 'handlebars';
+import { dropRevertedCommits, isBreakingToken } from './commits.js';
+import { DEFAULT_CONFIG } from './config.js';
+
+const NEW_CONTRIBUTORS_SECTION = '🎉 New Contributors';
+const UNSCOPED_SECTION = 'General';
+const HIGHLIGHT_LABEL = 'highlight';
+
+// Templates get their own Handlebars instance so that helpers never leak into other users of the library
+const handlebars = Handlebars.create();
+
+function groupByField(items, field) {
+  const groups = new Map();
+  for (const item of items || []) {
+    const key = item[field] || '';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return [...groups].map(([key, commits]) => ({ key, commits }));
+}
+
+handlebars.registerHelper('eq', (a, b) => a === b);
+
+// {{#each (groupBy commits "scope")}}{{key}}: {{#each commits}}...{{/each}}{{/each}}
+handlebars.registerHelper('groupBy', groupByField);
+
+function getBreakingNotes(commit) {
+  return (commit.footers || []).filter((footer) => isBreakingToken(footer.token)).map((footer) => footer.value.trim());
+}
+
+function getBreakingChanges(parsedCommits) {
+  return dropRevertedCommits(parsedCommits)
+    .filter((commit) => commit.isBreaking)
+    .flatMap(getBreakingNotes)
+    .join('\n\n');
+}
+
+function getReleaseNote(commit) {
+  const footers = (commit.footers || []).filter((footer) => footer.token.toLowerCase() === 'release-note');
+  if (footers.length > 0) {
+    return footers.map((footer) => footer.value).join('\n\n');
+  }
+  if ((commit.labels || []).includes(HIGHLIGHT_LABEL)) {
+    return commit.body || '';
+  }
+  return null;
+}
+
+function groupCommits(parsedCommits, config) {
+  const highlights = [];
+  const breaking = { type: 'breaking', title: config.breakingSection, commits: [] };
+  const other = { type: 'other', title: config.otherSection, commits: [] };
+  const commitTypes = {};
+  for (const rule of config.types) {
+    commitTypes[rule.type] = { type: rule.type, title: rule.section, hidden: rule.hidden, commits: [] };
+  }
+
+  dropRevertedCommits(parsedCommits).forEach((commit) => {
+    const releaseNote = getReleaseNote(commit);
+    if (releaseNote !== null) {
+      highlights.push({ ...commit, releaseNote });
+    }
+
+    // Highlights are lifted out of their type section, but breaking changes stay listed with the migration notes
+    if (commit.isBreaking) {
+      breaking.commits.push(commit);
+    } else if (releaseNote !== null) {
+      return;
+    } else {
+      const type = commit.type;
+      if (type in commitTypes) {
+        commitTypes[type].commits.push(commit);
+      } else {
+        other.commits.push(commit);
+      }
+    }
+  });
+
+  // Breaking changes always come first and are never hidden
+  return {
+    highlights,
+    sections: [breaking, ...Object.values(commitTypes).filter((section) => !section.hidden), other]
+  };
+}
+
+async function resolveContributions(backend, parsedCommits, baseRef) {
+  // The "(#123)" suffix of squash merges names the pull request, merge and rebase merges are found by their commit
+  const commits = [];
+  for (const commit of parsedCommits) {
+    const pullRequest = commit.pullRequest
+      ? await backend.getPullRequest(commit.pullRequest)
+      : (await backend.getPullRequests(commit.fullSha))[0];
+    commits.push(
+      pullRequest
+        ? {
+            ...commit,
+            pullRequest: pullRequest.number,
+            login: commit.login || pullRequest.author,
+            labels: pullRequest.labels || []
+          }
+        : { ...commit, labels: [] }
+    );
+  }
+
+  // On the first release everybody would be a new contributor, so there is nothing worth calling out
+  const newContributors = [];
+  if (baseRef) {
+    const seen = new Set();
+    for (const commit of [...commits].reverse()) {
+      // GitHub only filters commits by login or email, the display name would match nothing
+      const author = commit.login || commit.email;
+      if (!author || seen.has(author)) {
+        continue;
+      }
+      seen.add(author);
+      if (!(await backend.hasCommitsBefore(author, baseRef))) {
+        newContributors.push({
+          name: commit.login || commit.author,
+          login: commit.login,
+          pullRequest: commit.pullRequest
+        });
+      }
+    }
+  }
+
+  return { commits, newContributors };
+}
+
+function buildNotesContext(parsedCommits, version, config, options) {
+  const { highlights, sections: allSections } = groupCommits(parsedCommits, config);
+  const sections = allSections
+    .filter((section) => section.commits.length > 0)
+    .map((section) => ({
+      type: section.type,
+      title: section.title,
+      commits: section.commits.map((commit) => ({
+        ...commit,
+        breakingNotes: getBreakingNotes(commit)
+      }))
+    }));
+  const commits = sections.flatMap((section) => section.commits);
+
+  return {
+    version,
+    previousVersion: options.previousVersion || '',
+    tag: options.tag || '',
+    previousTag: options.previousTag || '',
+    package: options.packageName || '',
+    repositoryUrl: options.repositoryUrl || '',
+    date: options.date || new Date().toISOString().substring(0, 10),
+    highlights,
+    sections,
+    commits,
+    breakingChanges: commits.filter((commit) => commit.isBreaking),
+    newContributors: options.newContributors || [],
+    hasChanges: commits.length > 0 || highlights.length > 0
+  };
+}
+
+function renderTemplate(template, context) {
+  try {
+    return handlebars.compile(template, { noEscape: true })(context);
+  } catch (error) {
+    throw new Error(`Failed to render release notes template: ${error.message}`);
+  }
+}
+
+function loadTemplate(inlineTemplate, templateFile) {
+  if (inlineTemplate) {
+    return inlineTemplate;
+  }
+  if (!templateFile) {
+    return '';
+  }
+
+  try {
+    return fs.readFileSync(templateFile, 'utf8');
+  } catch (error) {
+    throw new Error(`Failed to read release notes template ${templateFile}: ${error.message}`);
+  }
+}
+
+function formatLink(text, repositoryUrl, path) {
+  return repositoryUrl ? `[${text}](${repositoryUrl}/${path})` : text;
+}
+
+function formatContributor({ name, login }) {
+  // Plain git names cannot be mentioned, unlike GitHub users
+  return login ? `@${login}` : name;
+}
+
+function formatCommitLine(commit, repositoryUrl, showScope = true) {
+  const scopeText = showScope && commit.scope ? `**${commit.scope}**: ` : '';
+  let line = `- ${scopeText}${commit.description}`;
+  if (commit.pullRequest) {
+    line += ` (${formatLink(`#${commit.pullRequest}`, repositoryUrl, `pull/${commit.pullRequest}`)})`;
+  }
+  line += ` (${formatLink(commit.sha, repositoryUrl, `commit/${commit.fullSha || commit.sha}`)})`;
+  if (commit.login) {
+    line += ` by @${commit.login}`;
+  }
+  if (commit.issues && commit.issues.length > 0) {
+    const issues = commit.issues.map((issue) => formatLink(`#${issue}`, repositoryUrl, `issues/${issue}`));
+    line += `, closes ${issues.join(', ')}`;
+  }
+  return line;
+}
+
+// Indents text so that it renders as a paragraph of the list item above it
+function formatParagraph(text, indent) {
+  if (!text.trim()) {
+    return '';
+  }
+  const lines = text.split('\n').map((line) => (line.trim() ? `${indent}${line}` : ''));
+  return `\n${lines.join('\n')}\n\n`;
+}
+
+// Breaking changes carry their migration notes along, however deeply they are nested
+function formatEntry(commit, repositoryUrl, showScope = true, indent = '') {
+  const line = `${indent}${formatCommitLine(commit, repositoryUrl, showScope)}\n`;
+  return commit.isBreaking ? line + formatParagraph(getBreakingNotes(commit).join('\n\n'), `${indent}  `) : line;
+}
+
+function formatCommitList(commits, repositoryUrl) {
+  return commits.map((commit) => formatEntry(commit, repositoryUrl)).join('');
+}
+
+// Nests each group's commits below a bold label, e.g. "- **api**" followed by "  - add thing (abc1234)"
+function formatNestedList(groups, repositoryUrl, showScope) {
+  return groups
+    .map(({ label, commits }) => {
+      const indent = label ? '  ' : '';
+      const entries = commits.map((commit) => formatEntry(commit, repositoryUrl, showScope, indent)).join('');
+      return label ? `- **${label}**\n${entries}` : entries;
+    })
+    .join('');
+}
+
+function formatHighlights(highlights, repositoryUrl) {
+  return highlights
+    .map((commit) => `${formatCommitLine(commit, repositoryUrl)}\n${formatParagraph(commit.releaseNote, '  ')}`)
+    .join('');
+}
+
+// Sections end with a blank line, which entries with a paragraph already provide
+function formatSection(title, body) {
+  return `## ${title}\n\n${body}${body.endsWith('\n\n') ? '' : '\n'}`;
+}
+
+function formatSections(sections, config, repositoryUrl) {
+  const nonEmpty = sections.filter((section) => section.commits.length > 0);
+
+  if (config.groupBy === 'type-scope') {
+    return nonEmpty
+      .map((section) => {
+        // Unscoped commits come first, followed by one nested list per scope
+        const groups = groupByField(section.commits, 'scope')
+          .sort((a, b) => (b.key === '') - (a.key === ''))
+          .map(({ key, commits }) => ({ label: key, commits }));
+        return formatSection(section.title, formatNestedList(groups, repositoryUrl, false));
+      })
+      .join('');
+  }
+
+  if (config.groupBy === 'scope-type') {
+    // Breaking changes keep their own section at the top, every other commit is filed under its scope first
+    const [breaking, ...rest] = nonEmpty[0] && nonEmpty[0].type === 'breaking' ? nonEmpty : [null, ...nonEmpty];
+    const typed = rest.flatMap((section) => section.commits.map((commit) => ({ ...commit, section: section.title })));
+    const scopes = groupByField(typed, 'scope').sort((a, b) => (a.key === '') - (b.key === ''));
+
+    let notes = breaking ? formatSection(breaking.title, formatCommitList(breaking.commits, repositoryUrl)) : '';
+    for (const { key, commits } of scopes) {
+      const groups = groupByField(commits, 'section').map((group) => ({ label: group.key, commits: group.commits }));
+      notes += formatSection(key || UNSCOPED_SECTION, formatNestedList(groups, repositoryUrl, false));
+    }
+    return notes;
+  }
+
+  return nonEmpty
+    .map((section) => formatSection(section.title, formatCommitList(section.commits, repositoryUrl)))
+    .join('');
+}
+
+function generateReleaseNotes(parsedCommits, version, config = DEFAULT_CONFIG, options = {}) {
+  if (options.template) {
+    return renderTemplate(options.template, buildNotesContext(parsedCommits, version, config, options));
+  }
+
+  const { highlights, sections } = groupCommits(parsedCommits, config);
+  const title = options.packageName ? `${options.packageName} ${version}` : version;
+
+  let releaseNotes = `# Release ${title}\n\n`;
+  if (highlights.length > 0) {
+    releaseNotes += formatSection(config.highlightsSection, formatHighlights(highlights, options.repositoryUrl));
+  }
+  releaseNotes += formatSections(sections, config, options.repositoryUrl);
+
+  const hasAnyCommits = highlights.length > 0 || sections.some((section) => section.commits.length > 0);
+  if (!hasAnyCommits) {
+    releaseNotes += 'No significant changes in this release.\n\n';
+  }
+
+  const newContributors = options.newContributors || [];
+  if (newContributors.length > 0) {
+    releaseNotes += `## ${NEW_CONTRIBUTORS_SECTION}\n\n`;
+    newContributors.forEach((contributor) => {
+      const pullRequest = contributor.pullRequest
+        ? ` in ${formatLink(`#${contributor.pullRequest}`, options.repositoryUrl, `pull/${contributor.pullRequest}`)}`
+        : '';
+      releaseNotes += `- ${formatContributor(contributor)} made their first contribution${pullRequest}\n`;
+    });
+    releaseNotes += '\n';
+  }
+
+  return releaseNotes;
+}
+
+export {
+  groupCommits,
+  getBreakingChanges,
+  resolveContributions,
+  buildNotesContext,
+  renderTemplate,
+  loadTemplate,
+  generateReleaseNotes
+};
@@ -0,0 +1,341 @@
+import { jest } from '@jest/globals';
+import mock from 'mock-fs';
+
+const { parseCommit } = await import('./commits.js');
+const {
+  buildNotesContext,
+  generateReleaseNotes,
+  getBreakingChanges,
+  loadTemplate,
+  renderTemplate,
+  resolveContributions
+} = await import('./notes.js');
+const { DEFAULT_CONFIG } = await import('./config.js');
+
+const commits = [
+  { sha: 'aaaaaaa1', message: 'feat(api)!: drop v1 endpoints\n\nBREAKING CHANGE: use /v2 instead', author: 'Jane' },
+  { sha: 'bbbbbbb2', message: 'fix(ui): align buttons (#42)', author: 'John' },
+  { sha: 'ccccccc3', message: 'feat(ui): dark mode', author: 'Jane' }
+].map(parseCommit);
+
+describe('Release notes', () => {
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('resolveContributions', () => {
+    const history = [
+      { sha: 'aaaaaaa1', message: 'feat: first', author: 'Jane Doe', login: 'jane' },
+      { sha: 'bbbbbbb2', message: 'fix: second', author: 'John Smith', email: 'john@example.com', login: null },
+      { sha: 'ccccccc3', message: 'fix: third (#7)', author: 'Jane Doe', login: 'jane' }
+    ].map(parseCommit);
+
+    it('should link pull requests and credit their authors', async () => {
+      const backend = {
+        getPullRequests: jest.fn(async (sha) => (sha === 'bbbbbbb2' ? [{ number: 12, author: 'jsmith' }] : [])),
+        getPullRequest: jest.fn().mockResolvedValue(null),
+        hasCommitsBefore: jest.fn().mockResolvedValue(true)
+      };
+
+      const { commits, newContributors } = await resolveContributions(backend, history, 'v1.0.0');
+
+      expect(commits.map(({ pullRequest, login }) => ({ pullRequest, login }))).toEqual([
+        { pullRequest: null, login: 'jane' },
+        { pullRequest: 12, login: 'jsmith' },
+        { pullRequest: 7, login: 'jane' }
+      ]);
+      expect(newContributors).toEqual([]);
+      expect(backend.hasCommitsBefore).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fetch the pull request named by the "(#123)" suffix for its labels', async () => {
+      const backend = {
+        getPullRequests: jest.fn().mockResolvedValue([]),
+        getPullRequest: jest.fn().mockResolvedValue({ number: 7, author: 'jane', labels: ['highlight'] }),
+        hasCommitsBefore: jest.fn().mockResolvedValue(true)
+      };
+
+      const { commits } = await resolveContributions(backend, history, 'v1.0.0');
+
+      expect(commits[2]).toMatchObject({ pullRequest: 7, labels: ['highlight'] });
+      expect(backend.getPullRequest).toHaveBeenCalledWith(7);
+      expect(backend.getPullRequests).toHaveBeenCalledTimes(2);
+      expect(backend.getPullRequests).not.toHaveBeenCalledWith('ccccccc3');
+    });
+
+    it('should list authors without earlier commits as new contributors, oldest first', async () => {
+      const backend = {
+        getPullRequests: jest.fn().mockResolvedValue([]),
+        getPullRequest: jest.fn().mockResolvedValue(null),
+        hasCommitsBefore: jest.fn().mockResolvedValue(false)
+      };
+
+      const { newContributors } = await resolveContributions(backend, history, 'v1.0.0');
+
+      expect(newContributors).toEqual([
+        { name: 'jane', login: 'jane', pullRequest: 7 },
+        { name: 'John Smith', login: null, pullRequest: null }
+      ]);
+      expect(backend.hasCommitsBefore).toHaveBeenCalledWith('john@example.com', 'v1.0.0');
+    });
+
+    it('should skip authors without a login or email to look up', async () => {
+      const backend = {
+        getPullRequests: jest.fn().mockResolvedValue([]),
+        getPullRequest: jest.fn().mockResolvedValue(null),
+        hasCommitsBefore: jest.fn().mockResolvedValue(false)
+      };
+      const anonymous = parseCommit({ sha: 'ddddddd4', message: 'fix: fourth', author: 'Someone', login: null });
+
+      const { newContributors } = await resolveContributions(backend, [anonymous], 'v1.0.0');
+
+      expect(newContributors).toEqual([]);
+      expect(backend.hasCommitsBefore).not.toHaveBeenCalled();
+    });
+
+    it('should not call out new contributors on the first release', async () => {
+      const backend = {
+        getPullRequests: jest.fn().mockResolvedValue([]),
+        getPullRequest: jest.fn().mockResolvedValue(null),
+        hasCommitsBefore: jest.fn()
+      };
+
+      const { newContributors } = await resolveContributions(backend, history, null);
+
+      expect(newContributors).toEqual([]);
+      expect(backend.hasCommitsBefore).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildNotesContext', () => {
+    it('should expose versions, sections and commit details', () => {
+      const context = buildNotesContext(commits, '2.0.0', DEFAULT_CONFIG, {
+        previousVersion: '1.4.0',
+        tag: 'v2.0.0',
+        previousTag: 'v1.4.0',
+        date: '2024-05-01'
+      });
+
+      expect(context).toMatchObject({
+        version: '2.0.0',
+        previousVersion: '1.4.0',
+        tag: 'v2.0.0',
+        previousTag: 'v1.4.0',
+        date: '2024-05-01',
+        package: '',
+        hasChanges: true
+      });
+      expect(context.sections.map((section) => section.type)).toEqual(['breaking', 'feat', 'fix']);
+      expect(context.commits.map((commit) => commit.sha)).toEqual(['aaaaaaa', 'ccccccc', 'bbbbbbb']);
+      expect(context.breakingChanges).toHaveLength(1);
+      expect(context.breakingChanges[0].breakingNotes).toEqual(['use /v2 instead']);
+      expect(context.commits[2]).toMatchObject({ author: 'John', scope: 'ui', pullRequest: 42 });
+    });
+
+    it('should default the date to today', () => {
+      const context = buildNotesContext([], '1.0.0', DEFAULT_CONFIG, {});
+
+      expect(context.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+      expect(context.hasChanges).toBe(false);
+    });
+  });
+
+  describe('generateReleaseNotes', () => {
+    it('should render a custom template', () => {
+      const template =
+        '{{version}} since {{previousVersion}}\n' +
+        '{{#each sections}}{{title}}:{{#each commits}} {{description}} by {{author}}{{/each}}\n{{/each}}';
+
+      const result = generateReleaseNotes(commits, '2.0.0', DEFAULT_CONFIG, { template, previousVersion: '1.4.0' });
+
+      expect(result).toBe(
+        '2.0.0 since 1.4.0\n' +
+          '💥 Breaking Changes: drop v1 endpoints by Jane\n' +
+          '✨ New Features: dark mode by Jane\n' +
+          '🐛 Bug Fixes: align buttons by John\n'
+      );
+    });
+
+    it('should group commits by scope with the groupBy helper', () => {
+      const template = '{{#each (groupBy commits "scope")}}[{{key}}]{{#each commits}} {{sha}}{{/each}}{{/each}}';
+
+      expect(generateReleaseNotes(commits, '2.0.0', DEFAULT_CONFIG, { template })).toBe(
+        '[api] aaaaaaa[ui] ccccccc bbbbbbb'
+      );
+    });
+
+    it('should not HTML-escape values', () => {
+      const [commit] = [{ sha: 'eeeeeee5', message: 'fix: handle <input> & "quotes"', author: 'Jane' }].map(
+        parseCommit
+      );
+
+      expect(generateReleaseNotes([commit], '1.0.1', DEFAULT_CONFIG, { template: '{{commits.0.description}}' })).toBe(
+        'handle <input> & "quotes"'
+      );
+    });
+
+    it('should link commits, pull requests, issues and contributors', () => {
+      const [commit] = [
+        { sha: 'fffffff6', message: 'fix: crash on start (#42)\n\nCloses #12', author: 'Jane Doe', login: 'jane' }
+      ].map(parseCommit);
+
+      const result = generateReleaseNotes([commit], '1.0.1', DEFAULT_CONFIG, {
+        repositoryUrl: 'https://github.com/owner/repo',
+        newContributors: [{ name: 'jane', login: 'jane', pullRequest: 42 }]
+      });
+
+      expect(result).toContain(
+        '- crash on start ([#42](https://github.com/owner/repo/pull/42)) ' +
+          '([fffffff](https://github.com/owner/repo/commit/fffffff6)) by @jane, ' +
+          'closes [#12](https://github.com/owner/repo/issues/12)\n'
+      );
+      expect(result).toContain(
+        '## 🎉 New Contributors\n\n- @jane made their first contribution in [#42](https://github.com/owner/repo/pull/42)\n'
+      );
+    });
+
+    it('should keep plain references without a repository URL', () => {
+      const [commit] = [{ sha: 'fffffff6', message: 'fix: crash on start (#42)', author: 'Jane Doe' }].map(parseCommit);
+
+      const result = generateReleaseNotes([commit], '1.0.1', DEFAULT_CONFIG, {
+        newContributors: [{ name: 'Jane Doe', login: null, pullRequest: null }]
+      });
+
+      expect(result).toContain('- crash on start (#42) (fffffff)\n');
+      expect(result).toContain('- Jane Doe made their first contribution\n');
+    });
+
+    it('should render the migration notes below breaking changes', () => {
+      const breaking = [
+        {
+          sha: 'aaaaaaa1',
+          message: 'feat(api)!: drop v1\n\nBREAKING CHANGE: v1 endpoints are gone.\n\nSwitch to /v2.',
+          author: 'Jane'
+        },
+        { sha: 'bbbbbbb2', message: 'fix(api)!: strict parsing', author: 'John' }
+      ].map(parseCommit);
+
+      expect(generateReleaseNotes(breaking, '2.0.0')).toBe(
+        '# Release 2.0.0\n\n' +
+          '## 💥 Breaking Changes\n\n' +
+          '- **api**: drop v1 (aaaaaaa)\n\n  v1 endpoints are gone.\n\n  Switch to /v2.\n\n' +
+          '- **api**: strict parsing (bbbbbbb)\n\n'
+      );
+      expect(generateReleaseNotes(breaking, '2.0.0', { ...DEFAULT_CONFIG, groupBy: 'type-scope' })).toContain(
+        '- **api**\n  - drop v1 (aaaaaaa)\n\n    v1 endpoints are gone.\n\n    Switch to /v2.\n\n  - strict parsing (bbbbbbb)\n'
+      );
+    });
+
+    describe('grouping and highlights', () => {
+      const grouped = [
+        { sha: 'aaaaaaa1', message: 'feat(api): add search', author: 'Jane' },
+        { sha: 'bbbbbbb2', message: 'fix(ui): align buttons', author: 'John' },
+        { sha: 'ccccccc3', message: 'feat: offline mode', author: 'Jane' },
+        { sha: 'ddddddd4', message: 'fix(api): handle timeouts', author: 'John' },
+        { sha: 'eeeeeee5', message: 'feat(api)!: drop v1', author: 'Jane' }
+      ].map(parseCommit);
+
+      it('should group commits by scope within each type', () => {
+        const result = generateReleaseNotes(grouped, '2.0.0', { ...DEFAULT_CONFIG, groupBy: 'type-scope' });
+
+        expect(result).toBe(
+          '# Release 2.0.0\n\n' +
+            '## 💥 Breaking Changes\n\n- **api**\n  - drop v1 (eeeeeee)\n\n' +
+            '## ✨ New Features\n\n- offline mode (ccccccc)\n- **api**\n  - add search (aaaaaaa)\n\n' +
+            '## 🐛 Bug Fixes\n\n- **ui**\n  - align buttons (bbbbbbb)\n- **api**\n  - handle timeouts (ddddddd)\n\n'
+        );
+      });
+
+      it('should group commits by scope first and type second', () => {
+        const result = generateReleaseNotes(grouped, '2.0.0', { ...DEFAULT_CONFIG, groupBy: 'scope-type' });
+
+        expect(result).toBe(
+          '# Release 2.0.0\n\n' +
+            '## 💥 Breaking Changes\n\n- **api**: drop v1 (eeeeeee)\n\n' +
+            '## api\n\n- **✨ New Features**\n  - add search (aaaaaaa)\n- **🐛 Bug Fixes**\n  - handle timeouts (ddddddd)\n\n' +
+            '## ui\n\n- **🐛 Bug Fixes**\n  - align buttons (bbbbbbb)\n\n' +
+            '## General\n\n- **✨ New Features**\n  - offline mode (ccccccc)\n\n'
+        );
+      });
+
+      it('should lift commits with a Release-Note footer or highlight label into highlights', () => {
+        const [footer, labelled, plain] = [
+          {
+            sha: 'aaaaaaa1',
+            message: 'feat: new editor\n\nRelease-Note: A brand new editor.\n Try it out!',
+            author: 'Jane'
+          },
+          { sha: 'bbbbbbb2', message: 'feat: themes\n\nPick a colour scheme.', author: 'John' },
+          { sha: 'ccccccc3', message: 'fix: typo', author: 'John' }
+        ].map(parseCommit);
+
+        const result = generateReleaseNotes([footer, { ...labelled, labels: ['highlight'] }, plain], '1.1.0');
+
+        expect(result).toBe(
+          '# Release 1.1.0\n\n' +
+            '## 🌟 Highlights\n\n' +
+            '- new editor (aaaaaaa)\n\n  A brand new editor.\n   Try it out!\n\n' +
+            '- themes (bbbbbbb)\n\n  Pick a colour scheme.\n\n' +
+            '## 🐛 Bug Fixes\n\n- typo (ccccccc)\n\n'
+        );
+      });
+
+      it('should keep highlighted breaking changes in the breaking section', () => {
+        const [commit] = [{ sha: 'aaaaaaa1', message: 'feat!: new API\n\nRelease-Note: Faster.', author: 'Jane' }].map(
+          parseCommit
+        );
+
+        const result = generateReleaseNotes([commit], '2.0.0');
+
+        expect(result).toContain('## 🌟 Highlights\n\n- new API (aaaaaaa)\n\n  Faster.\n\n');
+        expect(result).toContain('## 💥 Breaking Changes\n\n- new API (aaaaaaa)\n\n');
+      });
+    });
+
+    it('should prefix the default title with the package name', () => {
+      expect(generateReleaseNotes([], '1.0.0', DEFAULT_CONFIG, { packageName: 'api' })).toBe(
+        '# Release api 1.0.0\n\nNo significant changes in this release.\n\n'
+      );
+    });
+  });
+
+  describe('getBreakingChanges', () => {
+    it('should join the breaking change notes of commits that were not reverted', () => {
+      const result = getBreakingChanges(
+        [
+          { sha: 'aaaaaaa1', message: 'feat!: one\n\nBREAKING CHANGE: first note', author: 'Jane' },
+          { sha: 'bbbbbbb2', message: 'feat!: two', author: 'Jane' },
+          { sha: 'ccccccc3', message: 'fix: three\n\nBREAKING-CHANGE: second\nnote', author: 'Jane' },
+          { sha: 'ddddddd4', message: 'feat: four', author: 'Jane' }
+        ].map(parseCommit)
+      );
+
+      expect(result).toBe('first note\n\nsecond\nnote');
+      expect(getBreakingChanges([])).toBe('');
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should report template syntax errors', () => {
+      expect(() => renderTemplate('{{#each sections}}', {})).toThrow('Failed to render release notes template');
+    });
+  });
+
+  describe('loadTemplate', () => {
+    it('should prefer the inline template', () => {
+      mock({ '/repo/notes.hbs': 'from file' });
+
+      expect(loadTemplate('inline', '/repo/notes.hbs')).toBe('inline');
+      expect(loadTemplate('', '/repo/notes.hbs')).toBe('from file');
+      expect(loadTemplate('', '')).toBe('');
+    });
+
+    it('should fail when the template file is missing', () => {
+      mock({});
+
+      expect(() => loadTemplate('', '/repo/missing.hbs')).toThrow(
+        'Failed to read release notes template /repo/missing.hbs'
+      );
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import * as core from '@actions/core';
+import fs from 'fs';
+import path from 'path';
+import semver from 'semver';
+
+// Collects the step outputs and mirrors them to a JSON file, which is rewritten as outputs are set so that it also
+// holds the results of a run that failed half-way
+function createOutputs(filePath = '') {
+  const values = {};
+  return {
+    values,
+    set(name, value) {
+      values[name] = value;
+      core.setOutput(name, value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+      if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, `${JSON.stringify(values, null, 2)}\n`);
+      }
+    }
+  };
+}
+
+// The highest version component that changed, or "prerelease" when only the pre-release counter moved
+function getBumpType(currentVersion, nextVersion) {
+  const diff = semver.diff(currentVersion, nextVersion);
+  if (!diff || semver.lte(nextVersion, currentVersion)) {
+    return 'none';
+  }
+  return diff === 'prerelease' ? diff : diff.replace(/^pre/, '');
+}
+
+function getVersionComponents(version) {
+  const prerelease = semver.prerelease(version);
+  return {
+    'next-major': semver.major(version),
+    'next-minor': semver.minor(version),
+    'next-patch': semver.patch(version),
+    'next-prerelease': prerelease ? prerelease.join('.') : ''
+  };
+}
+
+function formatCommits(parsedCommits) {
+  return parsedCommits.map((commit) => ({
+    sha: commit.fullSha || commit.sha,
+    type: commit.type,
+    scope: commit.scope,
+    description: commit.description,
+    breaking: commit.isBreaking,
+    author: commit.author,
+    login: commit.login || null,
+    pullRequest: commit.pullRequest || null,
+    footers: commit.footers || []
+  }));
+}
+
+export { createOutputs, getBumpType, getVersionComponents, formatCommits };
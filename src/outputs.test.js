@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import mock from 'mock-fs';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  setOutput: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { createOutputs, getBumpType, getVersionComponents, formatCommits } = await import('./outputs.js');
+
+describe('Outputs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('createOutputs', () => {
+    it('should set step outputs, serializing objects as JSON', () => {
+      const outputs = createOutputs();
+
+      outputs.set('should-release', true);
+      outputs.set('commits', [{ sha: 'abc1234' }]);
+
+      expect(core.setOutput).toHaveBeenCalledWith('should-release', true);
+      expect(core.setOutput).toHaveBeenCalledWith('commits', '[{"sha":"abc1234"}]');
+      expect(outputs.values).toEqual({ 'should-release': true, commits: [{ sha: 'abc1234' }] });
+    });
+
+    it('should mirror the outputs to a JSON file', () => {
+      mock({});
+      const outputs = createOutputs('/work/out/release.json');
+
+      outputs.set('next-version', '1.3.0');
+      outputs.set('packages', { api: { 'next-version': '2.0.0' } });
+
+      expect(JSON.parse(fs.readFileSync('/work/out/release.json', 'utf8'))).toEqual({
+        'next-version': '1.3.0',
+        packages: { api: { 'next-version': '2.0.0' } }
+      });
+    });
+  });
+
+  describe('getBumpType', () => {
+    it.each([
+      ['1.2.3', '2.0.0', 'major'],
+      ['1.2.3', '1.3.0', 'minor'],
+      ['1.2.3', '1.2.4', 'patch'],
+      ['1.2.3', '1.2.3', 'none'],
+      ['1.2.3', '1.3.0-rc.0', 'minor'],
+      ['1.3.0-rc.0', '1.3.0-rc.1', 'prerelease']
+    ])('should describe %s -> %s as %s', (current, next, bumpType) => {
+      expect(getBumpType(current, next)).toBe(bumpType);
+    });
+  });
+
+  describe('getVersionComponents', () => {
+    it('should split the version into its components', () => {
+      expect(getVersionComponents('1.3.0-rc.2')).toEqual({
+        'next-major': 1,
+        'next-minor': 3,
+        'next-patch': 0,
+        'next-prerelease': 'rc.2'
+      });
+      expect(getVersionComponents('2.0.1')['next-prerelease']).toBe('');
+    });
+  });
+
+  describe('formatCommits', () => {
+    it('should keep the fields downstream jobs need', () => {
+      const commits = formatCommits([
+        {
+          sha: 'abc1234',
+          fullSha: 'abc1234def',
+          type: 'feat',
+          scope: 'api',
+          description: 'add endpoint',
+          body: 'Long text',
+          isBreaking: true,
+          author: 'Jane',
+          login: 'jane',
+          pullRequest: 12,
+          footers: [{ token: 'BREAKING CHANGE', value: 'removed v1' }],
+          fullMessage: 'feat(api)!: add endpoint'
+        }
+      ]);
+
+      expect(commits).toEqual([
+        {
+          sha: 'abc1234def',
+          type: 'feat',
+          scope: 'api',
+          description: 'add endpoint',
+          breaking: true,
+          author: 'Jane',
+          login: 'jane',
+          pullRequest: 12,
+          footers: [{ token: 'BREAKING CHANGE', value: 'removed v1' }]
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+import { dropRevertedCommits } from './commits.js';
+
+const BUMP_OVERRIDES = ['major', 'minor', 'patch'];
+
+function parseOverrideVersion(value, currentVersion, source) {
+  const version = semver.valid(value);
+  if (!version) {
+    throw new Error(`${source} ${value} is not a valid semantic version`);
+  }
+  if (!semver.gt(version, currentVersion)) {
+    throw new Error(`${source} ${version} must be higher than the current version ${currentVersion}`);
+  }
+  return version;
+}
+
+function findReleaseAs(parsedCommits, currentVersion) {
+  // Commits are newest first, so the newest footer wins, unless it was reverted in the meantime
+  const commit = dropRevertedCommits(parsedCommits).find(({ releaseAs }) => releaseAs);
+  if (!commit) {
+    return null;
+  }
+
+  // A footer that is already merged cannot be fixed, so it is skipped rather than blocking every release after it
+  try {
+    const version = parseOverrideVersion(commit.releaseAs, currentVersion, 'Release-As');
+    return { version, reason: `Release-As footer in ${commit.sha}` };
+  } catch (error) {
+    core.warning(`Ignoring ${commit.sha}: ${error.message}`);
+    return null;
+  }
+}
+
+// Resolves to the { version, reason } that replaces the calculated version, or null when nothing overrides it
+function resolveVersionOverride(parsedCommits, currentVersion, { forceVersion = '', bump = '' } = {}) {
+  if (forceVersion && bump) {
+    throw new Error('force-version and bump cannot be used together');
+  }
+
+  if (forceVersion) {
+    return {
+      version: parseOverrideVersion(forceVersion, currentVersion, 'force-version'),
+      reason: 'force-version input'
+    };
+  }
+
+  if (bump) {
+    if (!BUMP_OVERRIDES.includes(bump)) {
+      throw new Error(`bump must be one of: ${BUMP_OVERRIDES.join(', ')}`);
+    }
+    return { version: semver.inc(currentVersion, bump), reason: `${bump} bump input` };
+  }
+
+  return findReleaseAs(parsedCommits, currentVersion);
+}
+
+export { BUMP_OVERRIDES, resolveVersionOverride };
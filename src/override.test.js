@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { resolveVersionOverride } = await import('./override.js');
+
+describe('Version overrides', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveVersionOverride', () => {
+    const commits = [
+      { type: 'chore', sha: 'chore2', releaseAs: '2.0.0', fullMessage: 'chore: two' },
+      { type: 'chore', sha: 'chore1', releaseAs: '1.0.0', fullMessage: 'chore: one' },
+      { type: 'feat', sha: 'feat1', releaseAs: null, fullMessage: 'feat: thing' }
+    ];
+
+    it('should return null without inputs or Release-As footers', () => {
+      expect(resolveVersionOverride(commits.slice(2), '1.2.3')).toBeNull();
+    });
+
+    it('should use the newest Release-As footer', () => {
+      expect(resolveVersionOverride(commits, '0.4.2')).toEqual({
+        version: '2.0.0',
+        reason: 'Release-As footer in chore2'
+      });
+    });
+
+    it('should ignore Release-As footers of reverted commits', () => {
+      const revert = { type: 'revert', sha: 'revert1', revert: { header: 'chore: two', shas: [] }, releaseAs: null };
+
+      expect(resolveVersionOverride([revert, ...commits], '0.4.2').version).toBe('1.0.0');
+    });
+
+    it('should warn about and skip a Release-As footer that is not higher than the current version', () => {
+      expect(resolveVersionOverride(commits, '2.0.0')).toBeNull();
+      expect(core.warning).toHaveBeenCalledWith(
+        'Ignoring chore2: Release-As 2.0.0 must be higher than the current version 2.0.0'
+      );
+    });
+
+    it('should prefer the force-version input over Release-As footers', () => {
+      expect(resolveVersionOverride(commits, '1.2.3', { forceVersion: 'v3.1.0' })).toEqual({
+        version: '3.1.0',
+        reason: 'force-version input'
+      });
+    });
+
+    it('should bump the current version as asked by the bump input', () => {
+      expect(resolveVersionOverride([], '1.2.3', { bump: 'major' })).toEqual({
+        version: '2.0.0',
+        reason: 'major bump input'
+      });
+      expect(resolveVersionOverride([], '1.2.3', { bump: 'patch' }).version).toBe('1.2.4');
+    });
+
+    it.each([
+      [{ forceVersion: '1.0.0' }, 'force-version 1.0.0 must be higher than the current version 1.2.3'],
+      [{ forceVersion: '1.2.3' }, 'force-version 1.2.3 must be higher than the current version 1.2.3'],
+      [{ forceVersion: 'next' }, 'force-version next is not a valid semantic version'],
+      [{ bump: 'huge' }, 'bump must be one of: major, minor, patch'],
+      [{ forceVersion: '2.0.0', bump: 'major' }, 'force-version and bump cannot be used together']
+    ])('should reject invalid inputs %j', (inputs, message) => {
+      expect(() => resolveVersionOverride([], '1.2.3', inputs)).toThrow(message);
+    });
+  });
+});
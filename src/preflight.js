@@ -0,0 +1,59 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+import { isInRange } from './maintenance.js';
+import { getVersionTags } from './tag-format.js';
+
+const PREFLIGHT_MODES = ['fail', 'skip'];
+
+function getChannel(version) {
+  const prerelease = semver.prerelease(version);
+  return prerelease ? String(prerelease[0]) : '';
+}
+
+async function findPreflightProblems(backend, { tagName, tagFormat, version, headRef, branch, range = '' }) {
+  const problems = [];
+
+  // Tags are listed again rather than reused, so that a release made by a concurrent run is noticed
+  const versionTags = getVersionTags(await backend.listTags(), tagFormat);
+  if (versionTags.some(({ tag }) => tag === tagName)) {
+    problems.push(`tag ${tagName} already exists`);
+  }
+
+  // Pre-releases on other channels are versioned independently, e.g. 1.3.0-alpha.0 may follow 1.3.0-beta.2, and so are
+  // other release lines when patching a maintenance branch
+  const channel = getChannel(version);
+  const newer = versionTags
+    .filter(({ tag }) => tag !== tagName)
+    .filter(({ version: existing }) => isInRange(existing, range))
+    .filter(({ version: existing }) => !semver.prerelease(existing) || getChannel(existing) === channel)
+    .filter(({ version: existing }) => semver.gte(existing, version));
+  if (newer.length > 0) {
+    const highest = newer.reduce((a, b) => (semver.gt(b.version, a.version) ? b : a));
+    problems.push(`version ${version} is not higher than the existing tag ${highest.tag}`);
+  }
+
+  if (branch) {
+    const branchHead = await backend.getBranchHead(branch);
+    if (branchHead !== headRef) {
+      problems.push(`branch ${branch} moved from ${headRef} to ${branchHead} after it was analysed`);
+    }
+  }
+
+  return problems;
+}
+
+// Resolves to whether the release may go ahead, or throws when a check fails and the mode is "fail"
+async function runPreflightChecks(backend, release, mode = 'fail') {
+  const problems = await findPreflightProblems(backend, release);
+  if (problems.length === 0) {
+    return true;
+  }
+
+  if (mode === 'skip') {
+    problems.forEach((problem) => core.warning(`Skipping release of ${release.tagName}: ${problem}`));
+    return false;
+  }
+  throw new Error(`Pre-flight checks for ${release.tagName} failed: ${problems.join('; ')}`);
+}
+
+export { PREFLIGHT_MODES, getChannel, findPreflightProblems, runPreflightChecks };
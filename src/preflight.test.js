@@ -0,0 +1,99 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  warning: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const { findPreflightProblems, runPreflightChecks } = await import('./preflight.js');
+
+describe('Pre-flight checks', () => {
+  let backend;
+  const release = { tagName: 'v1.2.0', tagFormat: 'v{version}', version: '1.2.0', headRef: 'abc1234', branch: 'main' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    backend = {
+      listTags: jest.fn().mockResolvedValue(['v1.0.0', 'v1.1.0', 'api-v9.0.0']),
+      getBranchHead: jest.fn().mockResolvedValue('abc1234')
+    };
+  });
+
+  describe('findPreflightProblems', () => {
+    it('should pass a new, higher version on an unchanged branch', async () => {
+      await expect(findPreflightProblems(backend, release)).resolves.toEqual([]);
+      expect(backend.getBranchHead).toHaveBeenCalledWith('main');
+    });
+
+    it('should report an existing tag', async () => {
+      backend.listTags.mockResolvedValue(['v1.1.0', 'v1.2.0']);
+
+      await expect(findPreflightProblems(backend, release)).resolves.toEqual(['tag v1.2.0 already exists']);
+    });
+
+    it('should only compare against tags of the same maintenance line', async () => {
+      backend.listTags.mockResolvedValue(['v1.4.2', 'v2.0.0']);
+
+      await expect(
+        findPreflightProblems(backend, { ...release, tagName: 'v1.4.3', version: '1.4.3', range: '1.x' })
+      ).resolves.toEqual([]);
+    });
+
+    it('should report a version that is not higher than every existing tag', async () => {
+      backend.listTags.mockResolvedValue(['v1.1.0', 'v1.3.0', 'v1.2.5']);
+
+      await expect(findPreflightProblems(backend, release)).resolves.toEqual([
+        'version 1.2.0 is not higher than the existing tag v1.3.0'
+      ]);
+    });
+
+    it('should only compare pre-releases against stable tags and their own channel', async () => {
+      backend.listTags.mockResolvedValue(['v1.1.0', 'v1.2.0-beta.3', 'v1.2.0-alpha.0']);
+      const prerelease = { ...release, tagName: 'v1.2.0-alpha.1', version: '1.2.0-alpha.1' };
+
+      await expect(findPreflightProblems(backend, prerelease)).resolves.toEqual([]);
+
+      backend.listTags.mockResolvedValue(['v1.2.0-alpha.2']);
+      await expect(findPreflightProblems(backend, prerelease)).resolves.toEqual([
+        'version 1.2.0-alpha.1 is not higher than the existing tag v1.2.0-alpha.2'
+      ]);
+    });
+
+    it('should report a branch that moved after it was analysed', async () => {
+      backend.getBranchHead.mockResolvedValue('def5678');
+
+      await expect(findPreflightProblems(backend, release)).resolves.toEqual([
+        'branch main moved from abc1234 to def5678 after it was analysed'
+      ]);
+    });
+
+    it('should not check the branch head when not running on a branch', async () => {
+      await expect(findPreflightProblems(backend, { ...release, branch: '' })).resolves.toEqual([]);
+      expect(backend.getBranchHead).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runPreflightChecks', () => {
+    it('should fail with every problem by default', async () => {
+      backend.listTags.mockResolvedValue(['v1.2.0']);
+      backend.getBranchHead.mockResolvedValue('def5678');
+
+      await expect(runPreflightChecks(backend, release)).rejects.toThrow(
+        'Pre-flight checks for v1.2.0 failed: tag v1.2.0 already exists; ' +
+          'branch main moved from abc1234 to def5678 after it was analysed'
+      );
+    });
+
+    it('should warn and skip the release in skip mode', async () => {
+      backend.listTags.mockResolvedValue(['v1.2.0']);
+
+      await expect(runPreflightChecks(backend, release, 'skip')).resolves.toBe(false);
+      expect(core.warning).toHaveBeenCalledWith('Skipping release of v1.2.0: tag v1.2.0 already exists');
+    });
+
+    it('should let a valid release go ahead', async () => {
+      await expect(runPreflightChecks(backend, release, 'skip')).resolves.toBe(true);
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+  });
+});
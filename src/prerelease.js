@@ -0,0 +1,67 @@
+import semver from 'semver';
+import { escapeRegExp } from './regex.js';
+
+function parseBranchChannels(lines) {
+  return lines
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+    .map((line) => {
+      const separator = line.lastIndexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid pre-release branch mapping "${line}", expected "<branch>: <channel>"`);
+      }
+      return {
+        branch: line.substring(0, separator).trim(),
+        channel: line.substring(separator + 1).trim()
+      };
+    });
+}
+
+function branchMatches(pattern, branch) {
+  // Only "*" is special so that branch names can be used as-is, e.g. "release/*"
+  const escaped = escapeRegExp(pattern).replace(/\\\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(branch);
+}
+
+function resolvePrereleaseChannel(branch, explicitChannel, branchChannels) {
+  let channel = explicitChannel;
+  if (!channel) {
+    const mapping = branchChannels.find(({ branch: pattern }) => branchMatches(pattern, branch));
+    channel = mapping ? mapping.channel : '';
+  }
+
+  if (channel && !/^[0-9A-Za-z-]+$/.test(channel)) {
+    throw new Error(`Invalid pre-release channel "${channel}", only alphanumerics and hyphens are allowed`);
+  }
+  return channel;
+}
+
+function getPrereleaseCounters(targetVersion, channel, existingVersions) {
+  // Pre-releases of the same target on the same channel look like <target>-<channel>.<counter>
+  return existingVersions
+    .filter((version) => semver.valid(version))
+    .filter((version) => `${semver.major(version)}.${semver.minor(version)}.${semver.patch(version)}` === targetVersion)
+    .map((version) => semver.prerelease(version))
+    .filter((identifiers) => identifiers && identifiers.length === 2 && identifiers[0] === channel)
+    .map((identifiers) => identifiers[1])
+    .filter((counter) => Number.isInteger(counter));
+}
+
+function getNextPrereleaseVersion(targetVersion, channel, existingVersions) {
+  const counters = getPrereleaseCounters(targetVersion, channel, existingVersions);
+  const nextCounter = counters.length > 0 ? Math.max(...counters) + 1 : 0;
+  return `${targetVersion}-${channel}.${nextCounter}`;
+}
+
+function getLatestPrereleaseVersion(targetVersion, channel, existingVersions) {
+  const counters = getPrereleaseCounters(targetVersion, channel, existingVersions);
+  return counters.length > 0 ? `${targetVersion}-${channel}.${Math.max(...counters)}` : null;
+}
+
+export {
+  parseBranchChannels,
+  branchMatches,
+  resolvePrereleaseChannel,
+  getNextPrereleaseVersion,
+  getLatestPrereleaseVersion
+};
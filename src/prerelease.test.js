@@ -0,0 +1,73 @@
+const { parseBranchChannels, resolvePrereleaseChannel, getNextPrereleaseVersion, getLatestPrereleaseVersion } =
+  await import('./prerelease.js');
+
+describe('Pre-release channels', () => {
+  describe('parseBranchChannels', () => {
+    it('should parse branch to channel mappings', () => {
+      const result = parseBranchChannels(['next: beta', '', '  release/*:rc  ']);
+      expect(result).toEqual([
+        { branch: 'next', channel: 'beta' },
+        { branch: 'release/*', channel: 'rc' }
+      ]);
+    });
+
+    it('should reject mappings without a channel separator', () => {
+      expect(() => parseBranchChannels(['next'])).toThrow(
+        'Invalid pre-release branch mapping "next", expected "<branch>: <channel>"'
+      );
+    });
+  });
+
+  describe('resolvePrereleaseChannel', () => {
+    const branchChannels = [
+      { branch: 'next', channel: 'beta' },
+      { branch: 'alpha/*', channel: 'alpha' }
+    ];
+
+    it('should prefer the explicit channel', () => {
+      expect(resolvePrereleaseChannel('next', 'rc', branchChannels)).toBe('rc');
+    });
+
+    it('should map branches to channels', () => {
+      expect(resolvePrereleaseChannel('next', '', branchChannels)).toBe('beta');
+      expect(resolvePrereleaseChannel('alpha/new-parser', '', branchChannels)).toBe('alpha');
+    });
+
+    it('should return no channel for unmapped branches', () => {
+      expect(resolvePrereleaseChannel('main', '', branchChannels)).toBe('');
+      expect(resolvePrereleaseChannel('nextgen', '', branchChannels)).toBe('');
+    });
+
+    it('should reject channels that are not valid semver identifiers', () => {
+      expect(() => resolvePrereleaseChannel('main', 'rc.1', [])).toThrow(
+        'Invalid pre-release channel "rc.1", only alphanumerics and hyphens are allowed'
+      );
+    });
+  });
+
+  describe('getNextPrereleaseVersion', () => {
+    it('should start the counter at zero', () => {
+      expect(getNextPrereleaseVersion('1.3.0', 'rc', ['1.2.0'])).toBe('1.3.0-rc.0');
+    });
+
+    it('should continue from the highest existing counter on the channel', () => {
+      const existingVersions = ['1.3.0-rc.0', '1.3.0-rc.2', '1.3.0-rc.1', '1.3.0-beta.7', '1.2.0-rc.9'];
+      expect(getNextPrereleaseVersion('1.3.0', 'rc', existingVersions)).toBe('1.3.0-rc.3');
+      expect(getNextPrereleaseVersion('1.3.0', 'beta', existingVersions)).toBe('1.3.0-beta.8');
+    });
+
+    it('should ignore pre-releases that do not follow the channel counter format', () => {
+      expect(getNextPrereleaseVersion('1.3.0', 'rc', ['1.3.0-rc', '1.3.0-rc.x', '1.3.0-rc.1.2'])).toBe('1.3.0-rc.0');
+    });
+  });
+
+  describe('getLatestPrereleaseVersion', () => {
+    it('should return the latest pre-release on the channel', () => {
+      expect(getLatestPrereleaseVersion('1.3.0', 'rc', ['1.3.0-rc.0', '1.3.0-rc.1'])).toBe('1.3.0-rc.1');
+    });
+
+    it('should return null when the channel has no pre-releases yet', () => {
+      expect(getLatestPrereleaseVersion('1.3.0', 'rc', ['1.3.0-beta.0'])).toBeNull();
+    });
+  });
+});
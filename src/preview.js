@@ -0,0 +1,81 @@
+import * as core from '@actions/core';
+import semver from 'semver';
+
+// Hidden marker that identifies the sticky preview comment among the other comments of a pull request
+const PREVIEW_MARKER = '<!-- semver-release-preview -->';
+
+// Rows of the bump table, with icons for the components that went up or were reset
+function getVersionTable(currentVersion, nextVersion) {
+  const current = {
+    major: semver.major(currentVersion),
+    minor: semver.minor(currentVersion),
+    patch: semver.patch(currentVersion)
+  };
+  const next = {
+    major: semver.major(nextVersion),
+    minor: semver.minor(nextVersion),
+    patch: semver.patch(nextVersion)
+  };
+
+  const majorIcon = next.major > current.major ? ' 🔼' : '';
+  const minorIcon = next.minor > current.minor ? ' 🔼' : next.minor < current.minor ? ' 🔄' : '';
+  const patchIcon = next.patch > current.patch ? ' 🔼' : next.patch < current.patch ? ' 🔄' : '';
+
+  return [
+    ['', 'Major', 'Minor', 'Patch'],
+    ['Current', current.major.toString(), current.minor.toString(), current.patch.toString()],
+    ['Next', `${next.major}${majorIcon}`, `${next.minor}${minorIcon}`, `${next.patch}${patchIcon}`]
+  ];
+}
+
+function formatMarkdownTable([header, ...rows]) {
+  return [header, header.map(() => '---'), ...rows].map((row) => `| ${row.join(' | ')} |`).join('\n');
+}
+
+function formatPreviewComment({ tag, currentVersion, nextVersion, shouldRelease, releaseNotes }) {
+  const verdict = shouldRelease
+    ? `Merging this pull request releases **${tag}**.`
+    : `Merging this pull request does not release a new version, it stays at **${currentVersion}**.`;
+
+  return [
+    PREVIEW_MARKER,
+    '### 📦 Release Preview',
+    verdict,
+    formatMarkdownTable(getVersionTable(currentVersion, nextVersion)),
+    '#### Release Notes',
+    releaseNotes
+  ].join('\n\n');
+}
+
+function formatPackagesPreviewComment(packages) {
+  const table = formatMarkdownTable([
+    ['Package', 'Current', 'Next', 'Should Release'],
+    ...packages.map(({ name, currentVersion, nextVersion, shouldRelease }) => [
+      name,
+      currentVersion,
+      nextVersion,
+      shouldRelease ? '✅' : '❌'
+    ])
+  ]);
+  const notes = packages
+    .filter(({ shouldRelease }) => shouldRelease)
+    .map(({ name, releaseNotes }) => `#### ${name} Release Notes\n\n${releaseNotes}`);
+
+  return [PREVIEW_MARKER, '### 📦 Release Preview', table, ...notes].join('\n\n');
+}
+
+// Later pushes to the pull request update the same comment instead of adding another one
+async function updatePreviewComment(backend, number, body) {
+  const comment = await backend.commentOnPullRequest(number, { marker: PREVIEW_MARKER, body });
+  core.info(`Release preview posted to pull request #${number}: ${comment.url}`);
+  return comment;
+}
+
+export {
+  PREVIEW_MARKER,
+  getVersionTable,
+  formatMarkdownTable,
+  formatPreviewComment,
+  formatPackagesPreviewComment,
+  updatePreviewComment
+};
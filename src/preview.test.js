@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: jest.fn()
+}));
+
+const core = await import('@actions/core');
+const {
+  PREVIEW_MARKER,
+  getVersionTable,
+  formatMarkdownTable,
+  formatPreviewComment,
+  formatPackagesPreviewComment,
+  updatePreviewComment
+} = await import('./preview.js');
+
+describe('Pull request previews', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getVersionTable', () => {
+    it('should mark the components that went up or were reset', () => {
+      expect(getVersionTable('1.2.3', '1.3.0')).toEqual([
+        ['', 'Major', 'Minor', 'Patch'],
+        ['Current', '1', '2', '3'],
+        ['Next', '1', '3 🔼', '0 🔄']
+      ]);
+    });
+  });
+
+  describe('formatMarkdownTable', () => {
+    it('should render the first row as the header', () => {
+      expect(
+        formatMarkdownTable([
+          ['', 'Major'],
+          ['Next', '2 🔼']
+        ])
+      ).toBe('|  | Major |\n| --- | --- |\n| Next | 2 🔼 |');
+    });
+  });
+
+  describe('formatPreviewComment', () => {
+    it('should describe the release with the bump table and notes', () => {
+      const body = formatPreviewComment({
+        tag: 'v1.3.0',
+        currentVersion: '1.2.3',
+        nextVersion: '1.3.0',
+        shouldRelease: true,
+        releaseNotes: '## ✨ New Features\n\n- add thing'
+      });
+
+      expect(body.startsWith(`${PREVIEW_MARKER}\n\n### 📦 Release Preview`)).toBe(true);
+      expect(body).toContain('Merging this pull request releases **v1.3.0**.');
+      expect(body).toContain('| Next | 1 | 3 🔼 | 0 🔄 |');
+      expect(body).toContain('#### Release Notes\n\n## ✨ New Features\n\n- add thing');
+    });
+
+    it('should say when nothing would be released', () => {
+      const body = formatPreviewComment({
+        tag: 'v1.2.3',
+        currentVersion: '1.2.3',
+        nextVersion: '1.2.3',
+        shouldRelease: false,
+        releaseNotes: ''
+      });
+
+      expect(body).toContain('Merging this pull request does not release a new version, it stays at **1.2.3**.');
+    });
+  });
+
+  describe('formatPackagesPreviewComment', () => {
+    it('should list every package and the notes of those that would be released', () => {
+      const body = formatPackagesPreviewComment([
+        { name: 'api', currentVersion: '1.0.0', nextVersion: '1.1.0', shouldRelease: true, releaseNotes: 'api notes' },
+        { name: 'web', currentVersion: '2.3.0', nextVersion: '2.3.0', shouldRelease: false, releaseNotes: 'web notes' }
+      ]);
+
+      expect(body).toContain('| api | 1.0.0 | 1.1.0 | ✅ |\n| web | 2.3.0 | 2.3.0 | ❌ |');
+      expect(body).toContain('#### api Release Notes\n\napi notes');
+      expect(body).not.toContain('web notes');
+    });
+  });
+
+  describe('updatePreviewComment', () => {
+    it('should post the comment with the preview marker', async () => {
+      const backend = {
+        commentOnPullRequest: jest.fn().mockResolvedValue({ id: 5, url: 'https://github.com/o/r/pull/7#c5' })
+      };
+
+      await updatePreviewComment(backend, 7, `${PREVIEW_MARKER}\n\nbody`);
+
+      expect(backend.commentOnPullRequest).toHaveBeenCalledWith(7, {
+        marker: PREVIEW_MARKER,
+        body: `${PREVIEW_MARKER}\n\nbody`
+      });
+      expect(core.info).toHaveBeenCalledWith(
+        'Release preview posted to pull request #7: https://github.com/o/r/pull/7#c5'
+      );
+    });
+  });
+});
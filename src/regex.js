@@ -0,0 +1,6 @@
+// Escapes the characters that have a meaning in regular expressions, so that value is matched literally
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export { escapeRegExp };
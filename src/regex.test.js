@@ -0,0 +1,12 @@
+const { escapeRegExp } = await import('./regex.js');
+
+describe('Regular expression helpers', () => {
+  describe('escapeRegExp', () => {
+    it('should match special characters literally', () => {
+      const value = 'api-v[1.0.0]+(rc)*?^$|{x}\\';
+
+      expect(new RegExp(`^${escapeRegExp(value)}$`).test(value)).toBe(true);
+      expect(escapeRegExp('1.0.0')).toBe('1\\.0\\.0');
+    });
+  });
+});
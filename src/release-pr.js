@@ -0,0 +1,46 @@
+import * as core from '@actions/core';
+
+// The release PR branch is rebuilt from the release branch on every run, e.g. semver-release/main
+function getReleasePrBranch(branch) {
+  return `semver-release/${branch}`;
+}
+
+function isReleaseCommit(commit) {
+  return commit.type === 'chore' && commit.scope === 'release';
+}
+
+// Merging the release PR brings its chore(release) commit into the range, which is bookkeeping rather than a change
+function dropReleaseCommits(parsedCommits) {
+  return parsedCommits.filter((commit) => !isReleaseCommit(commit));
+}
+
+async function isReleasePrMerge(backend, headRef, releaseBranch) {
+  try {
+    const pullRequests = await backend.getPullRequests(headRef);
+    return pullRequests.some((pullRequest) => pullRequest.branch === releaseBranch);
+  } catch (error) {
+    throw new Error(`Failed to check for a merged release PR: ${error.message}`);
+  }
+}
+
+async function updateReleasePr(backend, files, { title, body, branch, releaseBranch, headRef }) {
+  if (!branch) {
+    throw new Error('Release PRs can only be opened when running on a branch');
+  }
+
+  // The branch always holds a single release commit on top of the latest head, so it never goes stale
+  const sha = await backend.commitFiles({
+    branch: releaseBranch,
+    parentRef: headRef,
+    message: title,
+    files,
+    force: true
+  });
+  core.info(`Committed ${files.length} file(s) to ${releaseBranch} as ${sha}`);
+
+  const pullRequest = await backend.openPullRequest({ head: releaseBranch, base: branch, title, body });
+  core.info(`Release PR #${pullRequest.number} is up to date: ${pullRequest.url}`);
+  return pullRequest;
+}
+
+export { getReleasePrBranch, isReleaseCommit, dropReleaseCommits, isReleasePrMerge, updateReleasePr };
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('@actions/core', () => ({
+  info: jest.fn()
+}));
+
+const { parseCommit } = await import('./commits.js');
+const { getReleasePrBranch, dropReleaseCommits, isReleasePrMerge, updateReleasePr } = await import('./release-pr.js');
+
+describe('Release PR', () => {
+  let backend;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    backend = {
+      getPullRequests: jest.fn(),
+      commitFiles: jest.fn().mockResolvedValue('def5678'),
+      openPullRequest: jest.fn().mockResolvedValue({ number: 7, url: 'https://github.com/owner/repo/pull/7' })
+    };
+  });
+
+  describe('getReleasePrBranch', () => {
+    it('should derive the release PR branch from the release branch', () => {
+      expect(getReleasePrBranch('main')).toBe('semver-release/main');
+    });
+  });
+
+  describe('dropReleaseCommits', () => {
+    it('should drop the commits of merged release PRs', () => {
+      const commits = [
+        { sha: 'aaaaaaa1', message: 'chore(release): v1.1.0 (#7)' },
+        { sha: 'bbbbbbb2', message: 'feat: add thing' },
+        { sha: 'ccccccc3', message: 'chore(deps): bump' }
+      ].map(parseCommit);
+
+      expect(dropReleaseCommits(commits).map((commit) => commit.sha)).toEqual(['bbbbbbb', 'ccccccc']);
+    });
+  });
+
+  describe('isReleasePrMerge', () => {
+    it('should detect head being the merge of the release PR', async () => {
+      backend.getPullRequests.mockResolvedValueOnce([{ number: 7, branch: 'semver-release/main' }]);
+      backend.getPullRequests.mockResolvedValueOnce([{ number: 8, branch: 'feature' }]);
+
+      await expect(isReleasePrMerge(backend, 'abc1234', 'semver-release/main')).resolves.toBe(true);
+      await expect(isReleasePrMerge(backend, 'abc1234', 'semver-release/main')).resolves.toBe(false);
+      expect(backend.getPullRequests).toHaveBeenCalledWith('abc1234');
+    });
+
+    it('should throw descriptive error when the lookup fails', async () => {
+      backend.getPullRequests.mockRejectedValue(new Error('Bad credentials'));
+
+      await expect(isReleasePrMerge(backend, 'abc1234', 'semver-release/main')).rejects.toThrow(
+        'Failed to check for a merged release PR: Bad credentials'
+      );
+    });
+  });
+
+  describe('updateReleasePr', () => {
+    const options = {
+      title: 'chore(release): v1.1.0',
+      body: '# Release 1.1.0',
+      branch: 'main',
+      releaseBranch: 'semver-release/main',
+      headRef: 'abc1234'
+    };
+
+    it('should reset the release branch onto head and open the pull request', async () => {
+      const files = [{ path: 'CHANGELOG.md', content: '# Changelog\n' }];
+
+      const pullRequest = await updateReleasePr(backend, files, options);
+
+      expect(backend.commitFiles).toHaveBeenCalledWith({
+        branch: 'semver-release/main',
+        parentRef: 'abc1234',
+        message: 'chore(release): v1.1.0',
+        files,
+        force: true
+      });
+      expect(backend.openPullRequest).toHaveBeenCalledWith({
+        head: 'semver-release/main',
+        base: 'main',
+        title: 'chore(release): v1.1.0',
+        body: '# Release 1.1.0'
+      });
+      expect(pullRequest.number).toBe(7);
+    });
+
+    it('should require a branch', async () => {
+      await expect(updateReleasePr(backend, [], { ...options, branch: '' })).rejects.toThrow(
+        'Release PRs can only be opened when running on a branch'
+      );
+      expect(backend.commitFiles).not.toHaveBeenCalled();
+    });
+  });
+});
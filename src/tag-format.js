@@ -0,0 +1,53 @@
+import semver from 'semver';
+import { escapeRegExp } from './regex.js';
+
+const DEFAULT_TAG_FORMAT = 'v{version}';
+const DEFAULT_RELEASE_NAME = '{tag}';
+
+function validateTagFormat(tagFormat) {
+  if (tagFormat.split('{version}').length !== 2) {
+    throw new Error(`Tag format "${tagFormat}" must contain {version} exactly once`);
+  }
+  return tagFormat;
+}
+
+// Replaces {name} placeholders, leaving unknown ones untouched so that typos stand out in the result
+function renderPlaceholders(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+function formatTag(tagFormat, version) {
+  return renderPlaceholders(tagFormat, { version });
+}
+
+// The inverse of formatTag, resolving to null for tags of other families, e.g. "api-v1.0.0" for "v{version}"
+function parseTag(tagFormat, tag) {
+  const [prefix, suffix] = tagFormat.split('{version}').map(escapeRegExp);
+  const match = tag.match(new RegExp(`^${prefix}(.+)${suffix}$`));
+  // semver.valid tolerates a leading "v", which would let "{version}" match "v1.2.0" as well
+  return match && semver.valid(match[1]) === match[1] ? match[1] : null;
+}
+
+function getVersionTags(tags, tagFormat) {
+  return tags.map((tag) => ({ tag, version: parseTag(tagFormat, tag) })).filter(({ version }) => version);
+}
+
+function getHighestVersionTag(versionTags) {
+  if (versionTags.length === 0) {
+    return null;
+  }
+  return versionTags.reduce((highest, candidate) =>
+    semver.gt(candidate.version, highest.version) ? candidate : highest
+  );
+}
+
+export {
+  DEFAULT_TAG_FORMAT,
+  DEFAULT_RELEASE_NAME,
+  validateTagFormat,
+  renderPlaceholders,
+  formatTag,
+  parseTag,
+  getVersionTags,
+  getHighestVersionTag
+};
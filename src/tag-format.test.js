@@ -0,0 +1,63 @@
+const { validateTagFormat, renderPlaceholders, formatTag, parseTag, getVersionTags, getHighestVersionTag } =
+  await import('./tag-format.js');
+
+describe('Tag format', () => {
+  describe('validateTagFormat', () => {
+    it('should require exactly one version placeholder', () => {
+      expect(validateTagFormat('release-{version}')).toBe('release-{version}');
+      expect(() => validateTagFormat('latest')).toThrow('Tag format "latest" must contain {version} exactly once');
+      expect(() => validateTagFormat('{version}-{version}')).toThrow('must contain {version} exactly once');
+    });
+  });
+
+  describe('formatTag', () => {
+    it.each([
+      ['v{version}', 'v1.2.0'],
+      ['{version}', '1.2.0'],
+      ['release-{version}', 'release-1.2.0'],
+      ['mycomponent/v{version}', 'mycomponent/v1.2.0']
+    ])('should render %s', (tagFormat, tag) => {
+      expect(formatTag(tagFormat, '1.2.0')).toBe(tag);
+    });
+  });
+
+  describe('parseTag', () => {
+    it('should read the version back from a tag', () => {
+      expect(parseTag('mycomponent/v{version}', 'mycomponent/v1.2.0-rc.1')).toBe('1.2.0-rc.1');
+      expect(parseTag('{version}', '1.2.0')).toBe('1.2.0');
+    });
+
+    it('should reject tags of other families', () => {
+      expect(parseTag('v{version}', 'mycomponent/v1.2.0')).toBeNull();
+      expect(parseTag('{version}', 'v1.2.0')).toBeNull();
+      expect(parseTag('v{version}', 'vnext')).toBeNull();
+      expect(parseTag('v.{version}', 'vx1.2.0')).toBeNull();
+    });
+  });
+
+  describe('getVersionTags', () => {
+    it('should keep the tags matching the format with their versions', () => {
+      expect(getVersionTags(['v1.0.0', 'api-v2.0.0', 'nightly', 'v1.1.0-rc.0'], 'v{version}')).toEqual([
+        { tag: 'v1.0.0', version: '1.0.0' },
+        { tag: 'v1.1.0-rc.0', version: '1.1.0-rc.0' }
+      ]);
+    });
+  });
+
+  describe('getHighestVersionTag', () => {
+    it('should compare versions rather than tag names', () => {
+      const versionTags = getVersionTags(['v1.9.0', 'v1.10.0', 'v1.10.0-rc.1'], 'v{version}');
+
+      expect(getHighestVersionTag(versionTags)).toEqual({ tag: 'v1.10.0', version: '1.10.0' });
+      expect(getHighestVersionTag([])).toBeNull();
+    });
+  });
+
+  describe('renderPlaceholders', () => {
+    it('should fill in known placeholders only', () => {
+      expect(
+        renderPlaceholders('{package} {version} ({tag}) {unknown}', { package: 'api', version: '1.0.0', tag: 'v1' })
+      ).toBe('api 1.0.0 (v1) {unknown}');
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { escapeRegExp } from './regex.js';
+
+function setJsonPath(content, keyPath, version) {
+  const data = JSON.parse(content);
+  const segments = keyPath.split('.');
+  const key = segments.pop();
+
+  let target = data;
+  for (const segment of segments) {
+    target = target !== null && typeof target === 'object' ? target[segment] : undefined;
+  }
+  if (target === null || typeof target !== 'object' || !(key in target)) {
+    throw new Error(`JSON path "${keyPath}" not found`);
+  }
+  target[key] = version;
+
+  // Keep the file's own indentation and trailing newline so the diff only touches the version
+  const indent = (content.match(/^[ \t]+(?=")/m) || ['  '])[0];
+  return JSON.stringify(data, null, indent) + (content.endsWith('\n') ? '\n' : '');
+}
+
+function setYamlKey(content, keyPath, version) {
+  const document = YAML.parseDocument(content);
+  const segments = keyPath.split('.');
+  if (!document.hasIn(segments)) {
+    throw new Error(`YAML key "${keyPath}" not found`);
+  }
+  document.setIn(segments, version);
+  return document.toString();
+}
+
+function setTomlKey(content, keyPath, version) {
+  const segments = keyPath.split('.');
+  const key = segments.pop();
+  const table = segments.join('.');
+  const keyRegex = new RegExp(`^(\\s*${escapeRegExp(key)}\\s*=\\s*)(["'])[^"'\\n]*\\2`);
+
+  // Editing the matching line in place keeps comments and formatting intact, which a TOML round-trip would not
+  const lines = content.split('\n');
+  let currentTable = '';
+  for (let i = 0; i < lines.length; i++) {
+    if (/^\s*\[\[/.test(lines[i])) {
+      currentTable = null; // keys inside arrays of tables are never addressed
+      continue;
+    }
+
+    const header = lines[i].match(/^\s*\[([^[\]]+)\]\s*(#.*)?$/);
+    if (header) {
+      currentTable = header[1]
+        .split('.')
+        .map((part) => part.trim().replace(/^["']|["']$/g, ''))
+        .join('.');
+      continue;
+    }
+
+    if (currentTable === table && keyRegex.test(lines[i])) {
+      lines[i] = lines[i].replace(keyRegex, (match, prefix, quote) => `${prefix}${quote}${version}${quote}`);
+      return lines.join('\n');
+    }
+  }
+
+  throw new Error(`TOML key "${keyPath}" not found`);
+}
+
+function replaceRegex(content, pattern, version) {
+  const match = new RegExp(pattern, 'md').exec(content);
+  if (!match || match[1] === undefined) {
+    throw new Error(`pattern "${pattern}" did not match`);
+  }
+
+  // Only the first capture group is replaced so that the pattern can anchor on its surroundings
+  const [start, end] = match.indices[1];
+  return content.substring(0, start) + version + content.substring(end);
+}
+
+function updateVersionFile(content, versionFile, version) {
+  if (versionFile.jsonPath) {
+    return setJsonPath(content, versionFile.jsonPath, version);
+  }
+  if (versionFile.yamlKey) {
+    return setYamlKey(content, versionFile.yamlKey, version);
+  }
+  if (versionFile.tomlKey) {
+    return setTomlKey(content, versionFile.tomlKey, version);
+  }
+  return replaceRegex(content, versionFile.regex, version);
+}
+
+function updateVersionFiles(workspace, versionFiles, version) {
+  const changedFiles = [];
+  for (const versionFile of versionFiles) {
+    const filePath = path.resolve(workspace, versionFile.path);
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const updatedContent = updateVersionFile(content, versionFile, version);
+      if (updatedContent !== content) {
+        fs.writeFileSync(filePath, updatedContent);
+        changedFiles.push({ path: versionFile.path, content: updatedContent });
+      }
+    } catch (error) {
+      throw new Error(`Failed to update version file ${versionFile.path}: ${error.message}`);
+    }
+  }
+  return changedFiles;
+}
+
+export { setJsonPath, setYamlKey, setTomlKey, replaceRegex, updateVersionFile, updateVersionFiles };
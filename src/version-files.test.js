@@ -0,0 +1,114 @@
+import fs from 'fs';
+import mock from 'mock-fs';
+
+const { setJsonPath, setYamlKey, setTomlKey, replaceRegex, updateVersionFiles } = await import('./version-files.js');
+
+describe('Version files', () => {
+  afterEach(() => {
+    mock.restore();
+  });
+
+  describe('setJsonPath', () => {
+    it('should update a nested key and keep the indentation', () => {
+      const content = '{\n    "name": "app",\n    "meta": {\n        "version": "1.0.0"\n    }\n}\n';
+
+      expect(setJsonPath(content, 'meta.version', '1.1.0')).toBe(
+        '{\n    "name": "app",\n    "meta": {\n        "version": "1.1.0"\n    }\n}\n'
+      );
+    });
+
+    it('should fail when the path does not exist', () => {
+      expect(() => setJsonPath('{"name": "app"}', 'version', '1.1.0')).toThrow('JSON path "version" not found');
+    });
+  });
+
+  describe('setYamlKey', () => {
+    it('should update the key and keep comments', () => {
+      const content = '# Helm chart\napiVersion: v2\nversion: 1.0.0 # chart version\nappVersion: "1.0.0"\n';
+
+      expect(setYamlKey(content, 'appVersion', '1.1.0')).toBe(
+        '# Helm chart\napiVersion: v2\nversion: 1.0.0 # chart version\nappVersion: "1.1.0"\n'
+      );
+    });
+
+    it('should fail when the key does not exist', () => {
+      expect(() => setYamlKey('name: app\n', 'image.tag', '1.1.0')).toThrow('YAML key "image.tag" not found');
+    });
+  });
+
+  describe('setTomlKey', () => {
+    it('should update the key in the right table', () => {
+      const content = [
+        '[package]',
+        'name = "app"',
+        'version = "1.0.0" # keep me',
+        '',
+        '[dependencies]',
+        'serde = { version = "1.0" }',
+        ''
+      ].join('\n');
+
+      expect(setTomlKey(content, 'package.version', '1.1.0')).toBe(
+        content.replace('version = "1.0.0" # keep me', 'version = "1.1.0" # keep me')
+      );
+    });
+
+    it('should support nested tables and top-level keys', () => {
+      expect(setTomlKey('[tool.poetry]\nversion = "0.1.0"\n', 'tool.poetry.version', '0.2.0')).toBe(
+        '[tool.poetry]\nversion = "0.2.0"\n'
+      );
+      expect(setTomlKey('version = \'0.1.0\'\n[project]\nversion = "9.9.9"\n', 'version', '0.2.0')).toBe(
+        'version = \'0.2.0\'\n[project]\nversion = "9.9.9"\n'
+      );
+    });
+
+    it('should fail when the key does not exist', () => {
+      expect(() => setTomlKey('[package]\nname = "app"\n', 'package.version', '1.1.0')).toThrow(
+        'TOML key "package.version" not found'
+      );
+    });
+  });
+
+  describe('replaceRegex', () => {
+    it('should replace the first capture group', () => {
+      const content = 'VERSION = "1.0.0"\nOTHER = "1.0.0"\n';
+
+      expect(replaceRegex(content, '^VERSION = "([^"]+)"', '1.1.0')).toBe('VERSION = "1.1.0"\nOTHER = "1.0.0"\n');
+    });
+
+    it('should fail when the pattern does not match', () => {
+      expect(() => replaceRegex('nothing here', 'version: (\\S+)', '1.1.0')).toThrow(
+        'pattern "version: (\\S+)" did not match'
+      );
+    });
+  });
+
+  describe('updateVersionFiles', () => {
+    it('should write and return only the files that changed', () => {
+      mock({
+        '/repo/package.json': '{\n  "version": "1.0.0"\n}\n',
+        '/repo/VERSION': '1.1.0\n'
+      });
+
+      const result = updateVersionFiles(
+        '/repo',
+        [
+          { path: 'package.json', jsonPath: 'version' },
+          { path: 'VERSION', regex: '^(.+)$' }
+        ],
+        '1.1.0'
+      );
+
+      expect(result).toEqual([{ path: 'package.json', content: '{\n  "version": "1.1.0"\n}\n' }]);
+      expect(fs.readFileSync('/repo/package.json', 'utf8')).toBe('{\n  "version": "1.1.0"\n}\n');
+    });
+
+    it('should include the file name in errors', () => {
+      mock({ '/repo': {} });
+
+      expect(() => updateVersionFiles('/repo', [{ path: 'Chart.yaml', yamlKey: 'version' }], '1.1.0')).toThrow(
+        'Failed to update version file Chart.yaml:'
+      );
+    });
+  });
+});